@@ -0,0 +1,34 @@
+-- Full-text search index over books, kept in sync by triggers
+CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+    title,
+    author,
+    description,
+    genre,
+    content = 'books',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+DROP TRIGGER IF EXISTS books_fts_insert;
+CREATE TRIGGER books_fts_insert AFTER INSERT ON books BEGIN
+    INSERT INTO books_fts (rowid, title, author, description, genre)
+    VALUES (new.id, new.title, new.author, new.description, new.genre);
+END;
+
+DROP TRIGGER IF EXISTS books_fts_delete;
+CREATE TRIGGER books_fts_delete AFTER DELETE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description, genre)
+    VALUES ('delete', old.id, old.title, old.author, old.description, old.genre);
+END;
+
+DROP TRIGGER IF EXISTS books_fts_update;
+CREATE TRIGGER books_fts_update AFTER UPDATE OF title, author, description, genre ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description, genre)
+    VALUES ('delete', old.id, old.title, old.author, old.description, old.genre);
+    INSERT INTO books_fts (rowid, title, author, description, genre)
+    VALUES (new.id, new.title, new.author, new.description, new.genre);
+END;
+
+-- Index the rows that already exist
+INSERT INTO books_fts (books_fts) VALUES ('rebuild');
@@ -0,0 +1,2 @@
+-- Row version for optimistic concurrency (exposed as the book's ETag)
+ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
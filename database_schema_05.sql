@@ -0,0 +1,3 @@
+-- Soft delete: deleted books keep their row with a tombstone timestamp until they are purged
+ALTER TABLE books ADD COLUMN deleted_at TEXT;
+CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books (deleted_at);
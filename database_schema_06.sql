@@ -0,0 +1,13 @@
+-- Audit log: one row per create, update, delete, restore, revert and purge of a book
+CREATE TABLE IF NOT EXISTS book_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    book_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore', 'revert', 'purge')),
+    before_data TEXT,
+    after_data TEXT,
+    request_id TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_revisions_book_id ON book_revisions (book_id, id);
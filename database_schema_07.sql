@@ -0,0 +1,66 @@
+-- Authors as their own resource, linked to books in order through book_authors.
+-- books.author stays as the display string (co-authors joined with " & ") used by search, sorting and filters.
+CREATE TABLE IF NOT EXISTS authors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    -- Lowercased name without spaces, dots, hyphens and apostrophes, so "J.R.R. Tolkien" and "JRR Tolkien" are one author
+    name_key TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WITHOUT ROWID so that linking a new book doesn't change last_insert_rowid()
+CREATE TABLE IF NOT EXISTS book_authors (
+    book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    author_id INTEGER NOT NULL REFERENCES authors(id),
+    position INTEGER NOT NULL,
+    PRIMARY KEY (book_id, author_id)
+) WITHOUT ROWID;
+
+CREATE INDEX IF NOT EXISTS idx_book_authors_author_id ON book_authors (author_id, book_id);
+
+-- Split existing author strings on ";", " & " and " and " into one row per author
+CREATE TABLE IF NOT EXISTS author_migration AS
+WITH RECURSIVE split (book_id, position, name, rest) AS (
+    SELECT id, 0, '', replace(replace(author, ' & ', ';'), ' and ', ';') || ';' FROM books
+    UNION ALL
+    SELECT book_id, position + 1, trim(substr(rest, 1, instr(rest, ';') - 1)), substr(rest, instr(rest, ';') + 1)
+    FROM split
+    WHERE rest <> ''
+)
+SELECT book_id, position, name, lower(replace(replace(replace(replace(name, ' ', ''), '.', ''), '-', ''), '''', '')) AS name_key
+FROM split
+WHERE name <> '';
+
+-- The first spelling seen for an author becomes its name
+INSERT INTO authors (name, name_key)
+SELECT name, name_key FROM author_migration WHERE true ORDER BY book_id, position
+ON CONFLICT (name_key) DO NOTHING;
+
+INSERT OR IGNORE INTO book_authors (book_id, author_id, position)
+SELECT author_migration.book_id, authors.id, MIN(author_migration.position)
+FROM author_migration
+JOIN authors ON authors.name_key = author_migration.name_key
+GROUP BY author_migration.book_id, authors.id;
+
+DROP TABLE author_migration;
+
+-- Rewrite display strings from the linked authors, bumping the version of books that change
+UPDATE books
+SET author = (
+        SELECT group_concat(name, ' & ') FROM (
+            SELECT authors.name FROM book_authors
+            JOIN authors ON authors.id = book_authors.author_id
+            WHERE book_authors.book_id = books.id
+            ORDER BY book_authors.position
+        )
+    ),
+    version = version + 1
+WHERE author IS NOT (
+    SELECT group_concat(name, ' & ') FROM (
+        SELECT authors.name FROM book_authors
+        JOIN authors ON authors.id = book_authors.author_id
+        WHERE book_authors.book_id = books.id
+        ORDER BY book_authors.position
+    )
+)
+AND EXISTS (SELECT 1 FROM book_authors WHERE book_authors.book_id = books.id);
@@ -0,0 +1,40 @@
+-- Canonical ISBN-13 of each book, alongside the display form in `isbn`
+ALTER TABLE books ADD COLUMN isbn13 TEXT;
+
+-- Existing ISBNs without hyphens and spaces
+CREATE TABLE IF NOT EXISTS isbn_migration AS
+SELECT id, deleted_at, upper(replace(replace(isbn, '-', ''), ' ', '')) AS digits
+FROM books
+WHERE isbn IS NOT NULL AND isbn <> '';
+
+-- Valid ISBN-13s are kept, valid ISBN-10s are converted (978 prefix and a new check digit).
+-- Anything with a bad checksum is left without an isbn13.
+UPDATE isbn_migration
+SET digits = CASE
+    WHEN length(digits) = 13 AND digits NOT GLOB '*[^0-9]*' AND digits GLOB '97[89]*'
+        AND (CAST(substr(digits, 1, 1) AS INTEGER) * 1 + CAST(substr(digits, 2, 1) AS INTEGER) * 3 + CAST(substr(digits, 3, 1) AS INTEGER) * 1 + CAST(substr(digits, 4, 1) AS INTEGER) * 3 + CAST(substr(digits, 5, 1) AS INTEGER) * 1 + CAST(substr(digits, 6, 1) AS INTEGER) * 3 + CAST(substr(digits, 7, 1) AS INTEGER) * 1 + CAST(substr(digits, 8, 1) AS INTEGER) * 3 + CAST(substr(digits, 9, 1) AS INTEGER) * 1 + CAST(substr(digits, 10, 1) AS INTEGER) * 3 + CAST(substr(digits, 11, 1) AS INTEGER) * 1 + CAST(substr(digits, 12, 1) AS INTEGER) * 3 + CAST(substr(digits, 13, 1) AS INTEGER) * 1) % 10 = 0
+        THEN digits
+    WHEN length(digits) = 10 AND substr(digits, 1, 9) NOT GLOB '*[^0-9]*' AND substr(digits, 10, 1) GLOB '[0-9X]'
+        AND (CAST(substr(digits, 1, 1) AS INTEGER) * 10 + CAST(substr(digits, 2, 1) AS INTEGER) * 9 + CAST(substr(digits, 3, 1) AS INTEGER) * 8 + CAST(substr(digits, 4, 1) AS INTEGER) * 7 + CAST(substr(digits, 5, 1) AS INTEGER) * 6 + CAST(substr(digits, 6, 1) AS INTEGER) * 5 + CAST(substr(digits, 7, 1) AS INTEGER) * 4 + CAST(substr(digits, 8, 1) AS INTEGER) * 3 + CAST(substr(digits, 9, 1) AS INTEGER) * 2 + (CASE substr(digits, 10, 1) WHEN 'X' THEN 10 ELSE CAST(substr(digits, 10, 1) AS INTEGER) END)) % 11 = 0
+        THEN '978' || substr(digits, 1, 9) || ((10 - (38 + CAST(substr(digits, 1, 1) AS INTEGER) * 3 + CAST(substr(digits, 2, 1) AS INTEGER) * 1 + CAST(substr(digits, 3, 1) AS INTEGER) * 3 + CAST(substr(digits, 4, 1) AS INTEGER) * 1 + CAST(substr(digits, 5, 1) AS INTEGER) * 3 + CAST(substr(digits, 6, 1) AS INTEGER) * 1 + CAST(substr(digits, 7, 1) AS INTEGER) * 3 + CAST(substr(digits, 8, 1) AS INTEGER) * 1 + CAST(substr(digits, 9, 1) AS INTEGER) * 3) % 10) % 10)
+    END;
+
+-- Only the oldest active book keeps a duplicated ISBN, later duplicates are left for manual review
+UPDATE books
+SET isbn13 = (SELECT digits FROM isbn_migration WHERE isbn_migration.id = books.id)
+WHERE id IN (
+    SELECT id FROM isbn_migration AS candidate
+    WHERE digits IS NOT NULL
+    AND (
+        deleted_at IS NOT NULL
+        OR NOT EXISTS (
+            SELECT 1 FROM isbn_migration AS earlier
+            WHERE earlier.digits = candidate.digits AND earlier.deleted_at IS NULL AND earlier.id < candidate.id
+        )
+    )
+);
+
+DROP TABLE isbn_migration;
+
+-- One active book per ISBN, books in the trash don't count
+CREATE UNIQUE INDEX IF NOT EXISTS idx_books_isbn13 ON books (isbn13) WHERE deleted_at IS NULL;
@@ -0,0 +1,39 @@
+-- Cache generations: cached collection responses (lists, search, stats, authors) are keyed on
+-- the current generation, so bumping it makes every older cached copy unreachable
+CREATE TABLE IF NOT EXISTS cache_generations (
+    scope TEXT PRIMARY KEY,
+    generation INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT OR IGNORE INTO cache_generations (scope) VALUES ('books');
+
+-- Any write to books or authors, from any code path, bumps the generation
+DROP TRIGGER IF EXISTS books_cache_insert;
+CREATE TRIGGER books_cache_insert AFTER INSERT ON books BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
+
+DROP TRIGGER IF EXISTS books_cache_update;
+CREATE TRIGGER books_cache_update AFTER UPDATE ON books BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
+
+DROP TRIGGER IF EXISTS books_cache_delete;
+CREATE TRIGGER books_cache_delete AFTER DELETE ON books BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
+
+DROP TRIGGER IF EXISTS authors_cache_insert;
+CREATE TRIGGER authors_cache_insert AFTER INSERT ON authors BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
+
+DROP TRIGGER IF EXISTS authors_cache_update;
+CREATE TRIGGER authors_cache_update AFTER UPDATE ON authors BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
+
+DROP TRIGGER IF EXISTS authors_cache_delete;
+CREATE TRIGGER authors_cache_delete AFTER DELETE ON authors BEGIN
+    UPDATE cache_generations SET generation = generation + 1 WHERE scope = 'books';
+END;
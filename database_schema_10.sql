@@ -0,0 +1,25 @@
+-- Reading lists owned by API keys, e.g. "To read" or "Favourites"
+CREATE TABLE IF NOT EXISTS shelves (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL, -- key:<id> or key:bootstrap, as in book_revisions.actor
+    name TEXT NOT NULL,
+    description TEXT,
+    visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('public', 'private')),
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shelves_owner ON shelves (owner);
+
+-- Ordered shelf membership with a note per entry. Books in the trash stay on their shelves
+-- (hidden until restored), purging a book removes it from every shelf.
+CREATE TABLE IF NOT EXISTS shelf_books (
+    shelf_id INTEGER NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+    book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    note TEXT,
+    added_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (shelf_id, book_id)
+) WITHOUT ROWID;
+
+CREATE INDEX IF NOT EXISTS idx_shelf_books_book ON shelf_books (book_id);
@@ -0,0 +1,42 @@
+-- Reader reviews, one per reviewer (API key) per book
+CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    reviewer TEXT NOT NULL, -- key:<id> or key:bootstrap, as in book_revisions.actor
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    text TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (book_id, reviewer)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_book ON reviews (book_id, id);
+
+-- Aggregate scores, named as they appear in book responses and kept in sync by the triggers below.
+-- The average is rounded so that it only changes when the value clients see changes.
+ALTER TABLE books ADD COLUMN reviewCount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE books ADD COLUMN averageRating REAL;
+
+CREATE INDEX IF NOT EXISTS idx_books_rating ON books (averageRating);
+
+DROP TRIGGER IF EXISTS reviews_rating_insert;
+CREATE TRIGGER reviews_rating_insert AFTER INSERT ON reviews BEGIN
+    UPDATE books
+    SET reviewCount = (SELECT COUNT(*) FROM reviews WHERE book_id = new.book_id),
+        averageRating = (SELECT ROUND(AVG(rating), 2) FROM reviews WHERE book_id = new.book_id)
+    WHERE id = new.book_id;
+END;
+
+DROP TRIGGER IF EXISTS reviews_rating_update;
+CREATE TRIGGER reviews_rating_update AFTER UPDATE OF rating ON reviews BEGIN
+    UPDATE books
+    SET averageRating = (SELECT ROUND(AVG(rating), 2) FROM reviews WHERE book_id = new.book_id)
+    WHERE id = new.book_id;
+END;
+
+DROP TRIGGER IF EXISTS reviews_rating_delete;
+CREATE TRIGGER reviews_rating_delete AFTER DELETE ON reviews BEGIN
+    UPDATE books
+    SET reviewCount = (SELECT COUNT(*) FROM reviews WHERE book_id = old.book_id),
+        averageRating = (SELECT ROUND(AVG(rating), 2) FROM reviews WHERE book_id = old.book_id)
+    WHERE id = old.book_id;
+END;
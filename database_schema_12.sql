@@ -0,0 +1,3 @@
+-- Cover image URL, named as it appears in book responses like reviewCount. Set when a cover is
+-- uploaded to R2 and versioned with the image's etag, so the URL changes whenever the image does.
+ALTER TABLE books ADD COLUMN coverUrl TEXT;
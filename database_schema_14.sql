@@ -0,0 +1,34 @@
+-- Changes feed: one row per change to a book, in commit order. `seq` never goes backwards or
+-- gets reused, so clients can sync from the last `seq` they saw.
+CREATE TABLE IF NOT EXISTS book_changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    book_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('create', 'update', 'delete')),
+    changed_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Existing books, so a sync from 0 sees the whole collection
+INSERT INTO book_changes (book_id, type)
+SELECT id, 'create' FROM books
+WHERE deleted_at IS NULL AND NOT EXISTS (SELECT 1 FROM book_changes)
+ORDER BY id;
+
+DROP TRIGGER IF EXISTS books_changes_insert;
+CREATE TRIGGER books_changes_insert AFTER INSERT ON books BEGIN
+    INSERT INTO book_changes (book_id, type) VALUES (new.id, 'create');
+END;
+
+-- Moving a book to the trash is its tombstone and restoring it is an update.
+-- Books in the trash can't change, and purging them doesn't record a second delete.
+DROP TRIGGER IF EXISTS books_changes_update;
+CREATE TRIGGER books_changes_update AFTER UPDATE ON books
+WHEN old.deleted_at IS NULL OR new.deleted_at IS NULL BEGIN
+    INSERT INTO book_changes (book_id, type)
+    VALUES (new.id, CASE WHEN new.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END);
+END;
+
+DROP TRIGGER IF EXISTS books_changes_delete;
+CREATE TRIGGER books_changes_delete AFTER DELETE ON books
+WHEN old.deleted_at IS NULL BEGIN
+    INSERT INTO book_changes (book_id, type) VALUES (old.id, 'delete');
+END;
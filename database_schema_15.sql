@@ -0,0 +1,35 @@
+-- Creation and last update times of books, kept up to date by the triggers below.
+-- SQLite can't add a column that defaults to CURRENT_TIMESTAMP, so new rows get it from a trigger.
+ALTER TABLE books ADD COLUMN created_at TEXT;
+ALTER TABLE books ADD COLUMN updated_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_books_created_at ON books (created_at);
+CREATE INDEX IF NOT EXISTS idx_books_updated_at ON books (updated_at);
+
+-- The changes feed only records writes to book fields, so setting the timestamps doesn't add changes
+DROP TRIGGER IF EXISTS books_changes_update;
+CREATE TRIGGER books_changes_update
+AFTER UPDATE OF title, author, year, isbn, isbn13, genre, description, version, deleted_at, reviewCount, averageRating, coverUrl ON books
+WHEN old.deleted_at IS NULL OR new.deleted_at IS NULL BEGIN
+    INSERT INTO book_changes (book_id, type)
+    VALUES (new.id, CASE WHEN new.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END);
+END;
+
+-- Existing books: the first and last entries of their history, or now for books without one
+UPDATE books
+SET created_at = COALESCE((SELECT MIN(created_at) FROM book_revisions WHERE book_id = books.id), CURRENT_TIMESTAMP),
+    updated_at = COALESCE((SELECT MAX(created_at) FROM book_revisions WHERE book_id = books.id), CURRENT_TIMESTAMP)
+WHERE created_at IS NULL;
+
+DROP TRIGGER IF EXISTS books_timestamps_insert;
+CREATE TRIGGER books_timestamps_insert AFTER INSERT ON books
+WHEN new.created_at IS NULL BEGIN
+    UPDATE books SET created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = new.id;
+END;
+
+-- Every write through the API bumps the version; review scores don't, and don't count as updates
+DROP TRIGGER IF EXISTS books_timestamps_update;
+CREATE TRIGGER books_timestamps_update AFTER UPDATE OF version ON books
+WHEN new.version IS NOT old.version BEGIN
+    UPDATE books SET updated_at = CURRENT_TIMESTAMP WHERE id = new.id;
+END;
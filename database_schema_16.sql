@@ -0,0 +1,9 @@
+-- Moving a book to the trash takes it off every shelf, so restoring it doesn't put it back.
+-- Until now books in the trash stayed on their shelves, hidden (see database_schema_10.sql).
+DELETE FROM shelf_books WHERE book_id IN (SELECT id FROM books WHERE deleted_at IS NOT NULL);
+
+DROP TRIGGER IF EXISTS books_shelves_delete;
+CREATE TRIGGER books_shelves_delete AFTER UPDATE OF deleted_at ON books
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL BEGIN
+    DELETE FROM shelf_books WHERE book_id = new.id;
+END;
@@ -0,0 +1,71 @@
+// API keys and roles
+import { ForbiddenError, UnauthorizedError } from './errors.js';
+
+// API key roles, each role includes the permissions of the ones below it
+export const ROLE_LEVELS = { reader: 1, editor: 2, admin: 3 };
+
+// Who made a change: the API key, or the client IP for anonymous requests
+export const getActor = (principal, request) => {
+	if (principal) {
+		return `key:${principal.id ?? principal.name}`;
+	}
+	return `ip:${request.headers.get('cf-connecting-ip') || 'unknown'}`;
+};
+
+// Hex encoding helper
+export const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+// API keys are stored as SHA-256 hashes, the plaintext is only shown once on creation
+export const hashApiKey = async (key) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+
+export const generateApiKey = () => `bk_${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+
+// Read the API key from `Authorization: Bearer <key>` or `X-API-Key`
+const getApiKey = (request) => {
+	const authorization = request.headers.get('authorization');
+	if (authorization) {
+		const [scheme, token] = authorization.split(' ');
+		if (scheme.toLowerCase() !== 'bearer' || !token) {
+			throw new UnauthorizedError('Authorization header must use the Bearer scheme');
+		}
+		return token.trim();
+	}
+	return request.headers.get('x-api-key');
+};
+
+// Resolve the caller's API key to a principal, or null for anonymous requests
+export const authenticate = async (env, request, ctx) => {
+	const key = getApiKey(request);
+	if (!key) {
+		return null;
+	}
+
+	const keyHash = await hashApiKey(key);
+
+	// Bootstrap admin key from the ADMIN_API_KEY secret, used to issue the first keys
+	if (env.ADMIN_API_KEY && keyHash === (await hashApiKey(env.ADMIN_API_KEY))) {
+		return { id: null, name: 'bootstrap', role: 'admin' };
+	}
+
+	const apiKey = await env.DB.prepare('SELECT id, name, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL')
+		.bind(keyHash)
+		.first();
+
+	if (!apiKey) {
+		throw new UnauthorizedError('Invalid or revoked API key');
+	}
+
+	ctx.waitUntil(env.DB.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').bind(apiKey.id).run());
+
+	return apiKey;
+};
+
+// Role check for protected routes
+export const requireRole = (principal, role) => {
+	if (!principal) {
+		throw new UnauthorizedError('API key required');
+	}
+	if (ROLE_LEVELS[principal.role] < ROLE_LEVELS[role]) {
+		throw new ForbiddenError(`This operation requires the ${role} role`);
+	}
+};
@@ -0,0 +1,352 @@
+// Book storage: authors, revisions, patches and the trash
+import { ConflictError, PreconditionFailedError, ValidationError } from './errors.js';
+import { toIsbn13 } from './validation.js';
+import { executeQuery, safeParseInt } from './query.js';
+import { deleteCovers } from './covers.js';
+
+// Allowed fields for updates
+export const ALLOWED_UPDATE_FIELDS = ['title', 'author', 'year', 'isbn', 'genre', 'description'];
+
+// Co-authors in a book's `author` string are separated by ";", " & " or " and ",
+// and the stored string is rebuilt from the linked authors joined with " & "
+const AUTHOR_SEPARATOR = /;| & | and /;
+export const MAX_BOOK_AUTHORS = 20;
+
+// Book columns captured in `book_revisions` snapshots
+const SNAPSHOT_FIELDS = ['id', ...ALLOWED_UPDATE_FIELDS, 'version', 'deleted_at'];
+export const BOOK_SNAPSHOT_SQL = `json_object(${SNAPSHOT_FIELDS.map((field) => `'${field}', ${field}`).join(', ')})`;
+
+// Fields that JSON Patch `test` operations may read but no operation may change
+const READ_ONLY_FIELDS = ['id', 'version', 'isbn13', 'averageRating', 'reviewCount', 'coverUrl', 'created_at', 'updated_at'];
+
+// Patch formats accepted by PATCH on a single book
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+export const PATCH_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE];
+
+// Days a deleted book stays in the trash before the scheduled purge removes it
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Split a book's author string into the names of its authors, in order
+export const splitAuthorNames = (author) =>
+	author
+		.split(AUTHOR_SEPARATOR)
+		.map((name) => name.trim())
+		.filter(Boolean);
+
+// SQL for the key that identifies an author regardless of case, spaces, dots, hyphens and apostrophes.
+// Keys are only ever computed in SQL, so the Worker and database_schema_07.sql always agree.
+export const authorKeySql = (expr) => `lower(replace(replace(replace(replace(trim(${expr}), ' ', ''), '.', ''), '-', ''), '''', ''))`;
+
+// A book's author string rebuilt from its linked authors, for UPDATE statements on books
+export const BOOK_AUTHORS_DISPLAY_SQL = `(
+	SELECT group_concat(name, ' & ') FROM (
+		SELECT authors.name FROM book_authors
+		JOIN authors ON authors.id = book_authors.author_id
+		WHERE book_authors.book_id = books.id
+		ORDER BY book_authors.position
+	)
+)`;
+
+// Public author columns
+export const AUTHOR_COLUMNS_SQL = 'authors.id, authors.name, authors.created_at';
+
+// Create the authors that don't exist yet for the given names.
+// With a `bookId` and `version`, nothing is created unless that book is still at that version.
+const buildUpsertAuthorsStatement = (env, names, bookId = null, version = null) =>
+	env.DB.prepare(
+		`
+		INSERT INTO authors (name, name_key)
+		SELECT trim(value), ${authorKeySql('value')} FROM json_each(?)
+		WHERE ${version === null ? 'true' : 'EXISTS (SELECT 1 FROM books WHERE id = ? AND version = ?)'}
+		ON CONFLICT (name_key) DO NOTHING
+	`
+	).bind(JSON.stringify(names), ...(version === null ? [] : [bookId, version]));
+
+// Link a book to the authors with the given names, in order. A null `bookId` means the row just inserted.
+// With a `version`, nothing is linked unless the book is still at that version.
+const buildLinkAuthorsStatement = (env, names, bookId = null, version = null) => {
+	const idSql = bookId === null ? 'last_insert_rowid()' : '?';
+
+	return env.DB.prepare(
+		`
+		INSERT INTO book_authors (book_id, author_id, position)
+		SELECT ${idSql}, authors.id, MIN(names.key)
+		FROM json_each(?) AS names
+		JOIN authors ON authors.name_key = ${authorKeySql('names.value')}
+		${version === null ? '' : 'WHERE EXISTS (SELECT 1 FROM books WHERE id = ? AND version = ?)'}
+		GROUP BY authors.id
+	`
+	).bind(...(bookId === null ? [] : [bookId]), JSON.stringify(names), ...(version === null ? [] : [bookId, version]));
+};
+
+// Statements that create a validated book: its authors, the row, the author links and the revision.
+// The author string is built from the authors' stored names in the INSERT itself, as updating it
+// afterwards would add an 'update' to the changes feed after every 'create'.
+const buildCreateBookStatements = (env, book, audit) => {
+	const names = splitAuthorNames(book.author);
+
+	return [
+		buildUpsertAuthorsStatement(env, names),
+		env.DB.prepare(
+			`
+			INSERT INTO books (title, author, year, isbn, isbn13, genre, description)
+			VALUES (?, (
+				SELECT group_concat(name, ' & ') FROM (
+					SELECT authors.name FROM json_each(?) AS names
+					JOIN authors ON authors.name_key = ${authorKeySql('names.value')}
+					GROUP BY authors.id
+					ORDER BY MIN(names.key)
+				)
+			), ?, ?, ?, ?, ?)
+		`
+		).bind(
+			book.title.trim(),
+			JSON.stringify(names),
+			book.year || null,
+			book.isbn || null,
+			book.isbn ? toIsbn13(book.isbn) : null,
+			book.genre ? book.genre.trim() : null,
+			book.description ? book.description.trim() : null
+		),
+		buildLinkAuthorsStatement(env, names),
+		buildRevisionStatement(env, audit, 'create', null),
+	];
+};
+
+// Embed the linked authors of each book, in order, as `authors: [{ id, name }]`
+export const withAuthors = async (env, books) => {
+	if (books.length === 0) {
+		return books;
+	}
+
+	const { results } = await executeQuery(
+		env.DB.prepare(
+			`
+			SELECT book_authors.book_id, authors.id, authors.name
+			FROM book_authors
+			JOIN authors ON authors.id = book_authors.author_id
+			WHERE book_authors.book_id IN (SELECT value FROM json_each(?))
+			ORDER BY book_authors.book_id, book_authors.position
+		`
+		).bind(JSON.stringify(books.map((book) => book.id)))
+	);
+
+	const authorsByBook = new Map();
+	for (const { book_id, ...author } of results) {
+		authorsByBook.set(book_id, [...(authorsByBook.get(book_id) ?? []), author]);
+	}
+
+	return books.map((book) => ({ ...book, authors: authorsByBook.get(book.id) ?? [] }));
+};
+
+// Insert books with their authors and `create` revisions in one D1 batch, which runs as a single transaction,
+// and return the new ids
+export const insertBooksBatch = async (env, books, audit) => {
+	const groups = books.map((book) => buildCreateBookStatements(env, book, audit));
+	const results = await env.DB.batch(groups.flat());
+
+	// The INSERT is the second statement of each group
+	return groups.map((group, index) => results[index * group.length + 1].meta.last_row_id);
+};
+
+// Writable fields of a book with strings trimmed and empty or missing values stored as null
+export const normalizeBookFields = (book) =>
+	Object.fromEntries(
+		ALLOWED_UPDATE_FIELDS.map((field) => {
+			const value = book[field];
+			if (typeof value === 'string') {
+				return [field, value.trim() === '' ? null : value.trim()];
+			}
+			return [field, value ?? null];
+		})
+	);
+
+// JSON Merge Patch (RFC 7396): present keys replace the current value, null clears it, unknown keys are ignored
+export const applyMergePatch = (book, patch) => {
+	if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+		throw new ValidationError('Merge patch must be a JSON object');
+	}
+
+	const patched = { ...book };
+	for (const field of ALLOWED_UPDATE_FIELDS) {
+		if (Object.hasOwn(patch, field)) {
+			patched[field] = patch[field];
+		}
+	}
+	return patched;
+};
+
+// Resolve a JSON Pointer (RFC 6901) to a top-level book field
+const getPatchField = (pointer, { allowReadOnly = false } = {}) => {
+	if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+		throw new ValidationError(`Invalid JSON Pointer: ${pointer}`);
+	}
+
+	const field = pointer.slice(1).replace(/~1/g, '/').replace(/~0/g, '~');
+	if (ALLOWED_UPDATE_FIELDS.includes(field) || (allowReadOnly && READ_ONLY_FIELDS.includes(field))) {
+		return field;
+	}
+	if (READ_ONLY_FIELDS.includes(field)) {
+		throw new ValidationError(`Field is read-only: ${field}`);
+	}
+	throw new ValidationError(`Unknown field: ${pointer}`);
+};
+
+// JSON Patch (RFC 6902) over the flat book document. Operations apply in order and a failed
+// `test` aborts the whole patch, so nothing is written.
+export const applyJsonPatch = (book, operations) => {
+	if (!Array.isArray(operations) || operations.length === 0) {
+		throw new ValidationError('JSON Patch must be a non-empty array of operations');
+	}
+
+	const patched = { ...book };
+	operations.forEach((operation, index) => {
+		const { op, path, from, value } = operation ?? {};
+
+		if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) {
+			throw new ValidationError(`Operation ${index} (${op}) requires a value`);
+		}
+
+		switch (op) {
+			case 'add':
+			case 'replace':
+				patched[getPatchField(path)] = value;
+				break;
+
+			case 'remove':
+				patched[getPatchField(path)] = null;
+				break;
+
+			case 'move':
+				patched[getPatchField(path)] = patched[getPatchField(from)];
+				patched[getPatchField(from)] = null;
+				break;
+
+			case 'copy':
+				patched[getPatchField(path)] = patched[getPatchField(from, { allowReadOnly: true })];
+				break;
+
+			case 'test': {
+				const field = getPatchField(path, { allowReadOnly: true });
+				if ((patched[field] ?? null) !== value) {
+					throw new ConflictError(`Test failed at operation ${index}: ${path} does not match`);
+				}
+				break;
+			}
+
+			default:
+				throw new ValidationError(`Operation ${index} has an invalid op: ${op}`);
+		}
+	});
+
+	return patched;
+};
+
+// Strong entity tag for a book, changes whenever the book's version is bumped or its rating changes
+export const getBookEtag = (book) => `"${book.id}-${book.version}-${book.reviewCount}-${book.averageRating ?? 0}"`;
+
+// Book columns as stored in revision snapshots
+const toSnapshot = (book) => Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, book[field] ?? null]));
+
+// Audit record for a book write, batched right after the write it describes.
+// The `after` snapshot is read from the row in the same transaction (null once the row is gone),
+// and nothing is recorded when the write changed no rows. A null `bookId` means the row just inserted.
+export const buildRevisionStatement = (env, audit, action, bookId, before = null) => {
+	const idSql = bookId === null ? 'last_insert_rowid()' : '?';
+	const idBindings = bookId === null ? [] : [bookId];
+
+	return env.DB.prepare(
+		`
+		INSERT INTO book_revisions (book_id, action, before_data, after_data, request_id, actor)
+		SELECT ${idSql}, ?, ?, (SELECT ${BOOK_SNAPSHOT_SQL} FROM books WHERE id = ${idSql}), ?, ?
+		WHERE changes() > 0
+	`
+	).bind(...idBindings, action, before ? JSON.stringify(toSnapshot(before)) : null, ...idBindings, audit.requestId, audit.actor);
+};
+
+// Revision rows with their snapshots parsed
+export const formatRevision = ({ before_data, after_data, ...revision }) => ({
+	...revision,
+	before: before_data ? JSON.parse(before_data) : null,
+	after: after_data ? JSON.parse(after_data) : null,
+});
+
+// Only one active book may have an ISBN. A 409 names the book that already has it.
+export const checkDuplicateIsbn = async (env, isbn13, exceptId = null) => {
+	if (!isbn13) {
+		return;
+	}
+
+	const existing = await env.DB.prepare('SELECT id FROM books WHERE isbn13 = ? AND deleted_at IS NULL AND id IS NOT ?')
+		.bind(isbn13, exceptId)
+		.first();
+
+	if (existing) {
+		throw new ConflictError(`A book with ISBN ${isbn13} already exists`, { existingId: existing.id });
+	}
+};
+
+// Replace the writable fields and authors of a book, guarded by the version that was read, and record the revision
+export const writeBookFields = async (env, book, fields, audit, action) => {
+	const columns = ALLOWED_UPDATE_FIELDS.filter((key) => key !== 'author');
+	const setClause = columns.map((key) => `${key} = ?`).join(', ');
+	const isbn13 = fields.isbn ? toIsbn13(fields.isbn) : null;
+	const values = [...columns.map((key) => fields[key]), isbn13, book.id, book.version];
+	const names = splitAuthorNames(fields.author);
+
+	await checkDuplicateIsbn(env, isbn13, book.id);
+
+	// The version check also catches changes made between our read and this write,
+	// and keeps the authors and their links untouched when the update doesn't apply
+	const [, , , result] = await env.DB.batch([
+		buildUpsertAuthorsStatement(env, names, book.id, book.version),
+		env.DB.prepare('DELETE FROM book_authors WHERE book_id = ? AND EXISTS (SELECT 1 FROM books WHERE id = ? AND version = ?)').bind(
+			book.id,
+			book.id,
+			book.version
+		),
+		buildLinkAuthorsStatement(env, names, book.id, book.version),
+		env.DB.prepare(
+			`UPDATE books SET ${setClause}, isbn13 = ?, author = ${BOOK_AUTHORS_DISPLAY_SQL}, version = version + 1 WHERE id = ? AND version = ?`
+		).bind(...values),
+		buildRevisionStatement(env, audit, action, book.id, book),
+	]);
+
+	if (!result.success) {
+		throw new Error('Failed to update book');
+	}
+
+	if (result.meta.changes === 0) {
+		throw new PreconditionFailedError('Book was modified by another request, get the latest version and retry');
+	}
+
+	const {
+		results: [updated],
+	} = await executeQuery(env.DB.prepare('SELECT * FROM books WHERE id = ?').bind(book.id));
+
+	const [updatedBook] = await withAuthors(env, [updated]);
+	return updatedBook;
+};
+
+// Permanently remove books that have been in the trash longer than the retention period
+export const purgeExpiredTrash = async (env, audit) => {
+	const days = safeParseInt(env.TRASH_RETENTION_DAYS, DEFAULT_TRASH_RETENTION_DAYS);
+	const expired = "deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)";
+	const interval = `-${days} days`;
+
+	// Record the purge revisions first, while the rows still exist
+	const [, result] = await env.DB.batch([
+		env.DB.prepare(
+			`
+			INSERT INTO book_revisions (book_id, action, before_data, after_data, request_id, actor)
+			SELECT id, 'purge', ${BOOK_SNAPSHOT_SQL}, NULL, ?, ? FROM books WHERE ${expired}
+		`
+		).bind(audit.requestId, audit.actor, interval),
+		env.DB.prepare(`DELETE FROM books WHERE ${expired} RETURNING id, coverUrl`).bind(interval),
+	]);
+
+	await deleteCovers(env, result.results);
+
+	return { days, purged: result.meta.changes };
+};
@@ -0,0 +1,231 @@
+// Bulk import parsing and streamed exports
+import { ValidationError } from './errors.js';
+import { getMediaType } from './http.js';
+import { buildBookFilters, buildKeysetCondition, buildOrderBy, buildWhereClause, executeQuery, parseSort, SORT_COLUMNS } from './query.js';
+import { ALLOWED_UPDATE_FIELDS } from './books.js';
+import { CITATION_STYLES, CITATION_WRAPPERS, formatCitation } from './citations.js';
+
+// Bulk import limits and accepted formats. A Worker invocation may run 1000 D1 queries. A book takes four
+// statements (see insertBooksBatch), so 200 books take 800 and an atomic import is a single batch of them. The
+// key lookup, the duplicate ISBN check and the webhook dispatch (two reads and one insert per subscribed
+// webhook, see dispatchWebhooks) run a handful more. Partial imports insert BULK_BATCH_SIZE books at a time
+// and retry a failed batch row by row, which runs its statements again.
+export const BULK_IMPORT_MAX_ROWS = 200;
+export const BULK_BATCH_SIZE = 100;
+export const BULK_IMPORT_TYPES = ['application/json', 'application/x-ndjson', 'application/ndjson', 'text/csv'];
+
+// Export formats, streamed in chunks of EXPORT_CHUNK_SIZE rows. Citation styles export a reference list.
+export const EXPORT_FORMATS = {
+	csv: 'text/csv; charset=utf-8',
+	ndjson: 'application/x-ndjson',
+	json: 'application/json',
+	...Object.fromEntries(Object.entries(CITATION_STYLES).map(([style, { contentType }]) => [style, contentType])),
+};
+const EXPORT_CHUNK_SIZE = 500;
+
+// Column order for CSV import and export, and for CSV representations of books
+export const BOOK_CSV_COLUMNS = ['id', 'title', 'author', 'year', 'isbn', 'genre', 'description'];
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes
+const parseCsv = (text) => {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	if (inQuotes) {
+		throw new ValidationError('Invalid CSV: unterminated quoted field');
+	}
+	if (field !== '' || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Ignore blank lines
+	return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Text that spreadsheets would run as a formula, and the apostrophe CSV exports put in front of it,
+// which imports take off again
+const CSV_FORMULA = /^[=+\-@\t\r]/;
+const CSV_FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
+
+// CSV field encoding, quoting values that contain separators, quotes or newlines. Formula text gets
+// a leading apostrophe (numbers, such as negative years, are left alone).
+const toCsvValue = (value) => {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	const text = typeof value === 'string' && CSV_FORMULA.test(value) ? `'${value}` : String(value);
+	return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => values.map(toCsvValue).join(',') + '\r\n';
+
+// Parse a bulk import body into rows of { row, book } or { row, error }, numbered from 1
+export const parseBulkImport = async (request) => {
+	const mediaType = getMediaType(request);
+	const text = await request.text();
+
+	if (mediaType === 'text/csv') {
+		const [header, ...records] = parseCsv(text);
+		if (!header) {
+			throw new ValidationError('CSV body must start with a header row');
+		}
+
+		// Exports start with the book IDs, which imports leave to the database
+		const columns = header.map((column) => column.trim().toLowerCase());
+		const unknown = columns.filter((column) => column !== 'id' && !ALLOWED_UPDATE_FIELDS.includes(column));
+		if (unknown.length) {
+			throw new ValidationError(`Unknown CSV columns: ${unknown.join(', ')}. Allowed: ${ALLOWED_UPDATE_FIELDS.join(', ')}`);
+		}
+
+		return records.map((cells, index) => {
+			if (cells.length !== columns.length) {
+				return { row: index + 1, error: `Expected ${columns.length} columns, got ${cells.length}` };
+			}
+			const book = {};
+			columns.forEach((column, i) => {
+				if (column === 'id') {
+					return;
+				}
+				const value = cells[i].replace(CSV_FORMULA_ESCAPE, '').trim();
+				book[column] = value === '' ? null : value;
+			});
+			if (book.year !== null && /^\d+$/.test(book.year)) {
+				book.year = parseInt(book.year);
+			}
+			return { row: index + 1, book };
+		});
+	}
+
+	if (mediaType === 'application/json') {
+		const books = JSON.parse(text);
+		if (!Array.isArray(books)) {
+			throw new ValidationError('JSON body must be an array of books');
+		}
+		return books.map((book, index) => ({ row: index + 1, book }));
+	}
+
+	// NDJSON: one book per line, invalid lines are reported per row
+	return text
+		.split(/\r?\n/)
+		.filter((line) => line.trim() !== '')
+		.map((line, index) => {
+			try {
+				return { row: index + 1, book: JSON.parse(line) };
+			} catch {
+				return { row: index + 1, error: 'Invalid JSON' };
+			}
+		});
+};
+
+// Stream the books matching the collection filters, reading EXPORT_CHUNK_SIZE rows at a time with keyset pagination
+export const createExportStream = (env, params, format) => {
+	const filters = buildBookFilters(params);
+	const sort = parseSort(params.get('sort'));
+	const encoder = new TextEncoder();
+	let cursor = null;
+	let first = true;
+	let done = false;
+
+	const serialize = (book) => {
+		if (format === 'csv') {
+			return toCsvRow(BOOK_CSV_COLUMNS.map((column) => book[column]));
+		}
+		if (format === 'ndjson') {
+			return `${JSON.stringify(book)}\n`;
+		}
+		if (CITATION_STYLES[format]) {
+			return formatCitation(format, book);
+		}
+		return `${first ? '' : ',\n'}  ${JSON.stringify(book)}`;
+	};
+
+	return new ReadableStream({
+		start(controller) {
+			if (format === 'csv') {
+				controller.enqueue(encoder.encode(toCsvRow(BOOK_CSV_COLUMNS)));
+			} else if (format === 'json') {
+				controller.enqueue(encoder.encode('[\n'));
+			} else if (CITATION_WRAPPERS[format]) {
+				controller.enqueue(encoder.encode(CITATION_WRAPPERS[format].start));
+			}
+		},
+		async pull(controller) {
+			if (done) {
+				return;
+			}
+
+			const conditions = [...filters.conditions];
+			const bindings = [...filters.bindings];
+			if (cursor) {
+				const keyset = buildKeysetCondition(sort, cursor);
+				conditions.push(keyset.sql);
+				bindings.push(...keyset.bindings);
+			}
+
+			const { results } = await executeQuery(
+				env.DB.prepare(`SELECT * FROM books ${buildWhereClause(conditions)} ORDER BY ${buildOrderBy(sort)} LIMIT ?`).bind(
+					...bindings,
+					EXPORT_CHUNK_SIZE
+				)
+			);
+
+			let chunk = '';
+			for (const book of results) {
+				chunk += serialize(book);
+				first = false;
+			}
+
+			if (results.length < EXPORT_CHUNK_SIZE) {
+				done = true;
+				if (format === 'json') {
+					chunk += first ? ']\n' : '\n]\n';
+				} else if (CITATION_WRAPPERS[format]) {
+					chunk += CITATION_WRAPPERS[format].end;
+				}
+			} else {
+				const last = results[results.length - 1];
+				cursor = { values: sort.map(({ field }) => SORT_COLUMNS[field].value(last)), direction: 'next' };
+			}
+
+			if (chunk) {
+				controller.enqueue(encoder.encode(chunk));
+			}
+			if (done) {
+				controller.close();
+			}
+		},
+	});
+};
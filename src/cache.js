@@ -0,0 +1,79 @@
+// Edge cache for public reads
+import { isNotModified } from './http.js';
+import { safeParseInt } from './query.js';
+import { getBookEtag } from './books.js';
+import { getFormatEtag } from './formats.js';
+
+// Clients always revalidate, the edge copy is the one that gets invalidated on writes
+export const CLIENT_CACHE_CONTROL = 'no-cache';
+
+// Edge cache entry for a GET, or null when the route isn't cached (see `cache` in API_ROUTES).
+// A single book is keyed on its entity tag, everything else on the `books` cache generation that
+// database triggers bump on every write to books or authors, so a write never has to find and
+// purge old entries: they just stop being looked up. Query parameters are sorted so equivalent
+// URLs share an entry. Each negotiated `format` has its own entries, and HTML pages aren't cached.
+export const getCacheEntry = async (env, request, url, route, match, format) => {
+	if (request.method !== 'GET' || !route?.cache || format === 'html') {
+		return null;
+	}
+
+	let scope;
+	if (route.cache === 'book') {
+		const id = safeParseInt(match.pathname.groups.id, 0);
+		const book = await env.DB.prepare('SELECT id, version, reviewCount, averageRating FROM books WHERE id = ? AND deleted_at IS NULL')
+			.bind(id)
+			.first();
+		if (!book) {
+			return null;
+		}
+		scope = getBookEtag(book).slice(1, -1);
+	} else {
+		const row = await env.DB.prepare("SELECT generation FROM cache_generations WHERE scope = 'books'").first();
+		scope = `g${row?.generation ?? 0}`;
+	}
+
+	// `?format=` and the Accept header asking for the same format share an entry
+	const query = new URLSearchParams(url.searchParams);
+	if (route.formats) {
+		query.delete('format');
+	}
+	query.sort();
+	const key = new URL(`/_cache/${scope}${format ? `/${format}` : ''}${url.pathname}`, url.origin);
+	key.search = query.toString();
+
+	return { key: key.toString(), etag: getFormatEtag(`"${scope}"`, format) };
+};
+
+// Cached copy of a response, answered with 304 when the client already has it
+export const matchCache = async (request, entry) => {
+	const cached = await caches.default.match(entry.key);
+	if (!cached) {
+		return null;
+	}
+
+	const headers = new Headers(cached.headers);
+	headers.set('Cache-Control', CLIENT_CACHE_CONTROL);
+	headers.set('X-Cache-Status', 'HIT');
+
+	if (isNotModified(request, headers.get('ETag'))) {
+		return new Response(null, { status: 304, headers });
+	}
+	return new Response(cached.body, { status: cached.status, headers });
+};
+
+// Store a freshly built 200 response at the edge, for as long as its own Cache-Control allows
+export const storeInCache = (ctx, entry, response) => {
+	if (!entry) {
+		return response;
+	}
+
+	if (response.status === 200) {
+		if (!response.headers.has('ETag')) {
+			response.headers.set('ETag', entry.etag);
+		}
+		response.headers.set('X-Cache-Status', 'MISS');
+		ctx.waitUntil(caches.default.put(entry.key, response.clone()));
+	}
+	response.headers.set('Cache-Control', CLIENT_CACHE_CONTROL);
+	return response;
+};
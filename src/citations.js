@@ -0,0 +1,168 @@
+// Citations of books: BibTeX, RIS, APA and MLA references, and MARCXML records
+import { escapeXml } from './http.js';
+import { splitAuthorNames } from './books.js';
+
+// Citation styles by `?style=` name, with their media types and export file extensions
+export const CITATION_STYLES = {
+	bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+	ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+	apa: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+	mla: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+	marcxml: { contentType: 'application/marcxml+xml; charset=utf-8', extension: 'xml' },
+};
+
+// Text around the citations of a document: MARCXML records always go in a collection
+export const CITATION_WRAPPERS = {
+	marcxml: {
+		start: '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n',
+		end: '</collection>\n',
+	},
+};
+
+// Leader of a minimal-level record for a printed book (record length and base address are left for the importing system)
+const MARC_LEADER = '00000nam a2200000 i 4500';
+
+// Leading articles that filing skips, for the nonfiling characters of MARC field 245
+const LEADING_ARTICLE = /^(the|an?) /i;
+
+// "J. R. R. Tolkien" as { family: 'Tolkien', given: 'J. R. R.' }. Names are stored as one string,
+// so the last word is taken as the family name.
+const parseName = (name) => {
+	const words = name.split(/\s+/);
+	return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+};
+
+// "Tolkien, J. R. R.", or the name as is when it is a single word
+const invertName = ({ family, given }) => (given ? `${family}, ${given}` : family);
+
+// "Jean-Paul Sartre" and "J.-P. Sartre" as "Sartre, J.-P.", "J.R.R. Tolkien" as "Tolkien, J. R. R.". Empty parts,
+// e.g. of a stray hyphen, are left out.
+const abbreviateName = ({ family, given }) => {
+	const initials = given
+		.split(/\s+/)
+		.map((word) =>
+			word
+				.split('-')
+				.map((part) =>
+					part
+						.split('.')
+						.filter(Boolean)
+						.map((name) => `${name[0].toUpperCase()}.`)
+						.join(' ')
+				)
+				.filter(Boolean)
+				.join('-')
+		)
+		.filter(Boolean)
+		.join(' ');
+	return initials ? `${family}, ${initials}` : family;
+};
+
+const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+const getNames = (book) => splitAuthorNames(book.author).map(parseName);
+
+// APA 7: "Tolkien, J. R. R. (1937). The Hobbit."
+const formatApa = (book) => {
+	const names = getNames(book).map(abbreviateName);
+	const authors = names.length > 1 ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}` : names[0];
+	return `${authors} (${book.year ?? 'n.d.'}). ${withPeriod(book.title)}\n`;
+};
+
+// MLA 9: "Tolkien, J. R. R. The Hobbit. 1937."
+const formatMla = (book) => {
+	const [first, ...others] = splitAuthorNames(book.author);
+	let authors = invertName(parseName(first));
+	if (others.length === 1) {
+		authors += `, and ${others[0]}`;
+	} else if (others.length > 1) {
+		authors += ', et al';
+	}
+	return `${withPeriod(authors)} ${withPeriod(book.title)}${book.year !== null ? ` ${book.year}.` : ''}\n`;
+};
+
+// BibTeX values go in braces, so braces and LaTeX special characters are escaped
+const escapeBibtex = (value) => String(value).replace(/[\\{}%&#$_]/g, (char) => (char === '\\' ? '\\textbackslash{}' : `\\${char}`));
+
+// BibTeX entry with a key built from the first author, the year and the book ID, e.g. "tolkien1937-4"
+const formatBibtex = (book) => {
+	const [first] = getNames(book);
+	const family = first.family
+		.normalize('NFKD')
+		.replace(/[^a-z0-9]/gi, '')
+		.toLowerCase();
+	const fields = [
+		['title', book.title],
+		['author', splitAuthorNames(book.author).join(' and ')],
+		['year', book.year],
+		['isbn', book.isbn],
+		['keywords', book.genre],
+		['abstract', book.description],
+	].filter(([, value]) => value !== null && value !== undefined);
+
+	return `@book{${family || 'book'}${book.year ?? ''}-${book.id},\n${fields
+		.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}},\n`)
+		.join('')}}\n\n`;
+};
+
+// RIS record: one tag per line, with CRLF line endings and a blank line after each record
+const formatRis = (book) => {
+	const lines = [
+		['TY', 'BOOK'],
+		...getNames(book).map((name) => ['AU', invertName(name)]),
+		['TI', book.title],
+		['PY', book.year],
+		['SN', book.isbn],
+		['KW', book.genre],
+		['AB', book.description],
+		['ID', book.id],
+	].filter(([, value]) => value !== null && value !== undefined);
+
+	return `${lines.map(([tag, value]) => `${tag}  - ${String(value).replace(/\s+/g, ' ')}\r\n`).join('')}ER  - \r\n\r\n`;
+};
+
+const formatMarcDataField = (tag, indicators, subfields) =>
+	`    <datafield tag="${tag}" ind1="${indicators[0]}" ind2="${indicators[1]}">\n${subfields
+		.map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>\n`)
+		.join('')}    </datafield>\n`;
+
+// MARC 21 record of the book fields: ISBN (020), first author (100) and co-authors (700), title and
+// statement of responsibility (245), year (264), description (520) and genre (655)
+const formatMarcRecord = (book) => {
+	const [first, ...others] = getNames(book);
+	const created = book.created_at ?? new Date().toISOString();
+	const date = book.year !== null ? `s${String(book.year).padStart(4, '0')}` : 'nuuuu';
+	// 008: date entered, publication date, unknown place, uncoded book details, undetermined language
+	const fixed = `${created.slice(2, 4)}${created.slice(5, 7)}${created.slice(8, 10)}${date}    xx ${'|'.repeat(17)}und d`;
+	const nameIndicator = (name) => (name.given ? '1 ' : '0 ');
+
+	const fields = [
+		book.isbn13 || book.isbn ? formatMarcDataField('020', '  ', [['a', book.isbn13 || book.isbn]]) : '',
+		formatMarcDataField('100', nameIndicator(first), [['a', withPeriod(invertName(first))]]),
+		formatMarcDataField('245', `1${book.title.match(LEADING_ARTICLE)?.[0].length ?? 0}`, [
+			['a', `${book.title} /`],
+			['c', withPeriod(book.author)],
+		]),
+		book.year !== null ? formatMarcDataField('264', ' 1', [['c', `${book.year}.`]]) : '',
+		book.description ? formatMarcDataField('520', '  ', [['a', book.description]]) : '',
+		book.genre ? formatMarcDataField('655', ' 4', [['a', withPeriod(book.genre)]]) : '',
+		...others.map((name) => formatMarcDataField('700', nameIndicator(name), [['a', withPeriod(invertName(name))]])),
+	];
+
+	return `  <record>
+    <leader>${MARC_LEADER}</leader>
+    <controlfield tag="001">${book.id}</controlfield>
+    <controlfield tag="008">${fixed}</controlfield>
+${fields.join('')}  </record>\n`;
+};
+
+const CITATION_FORMATTERS = { bibtex: formatBibtex, ris: formatRis, apa: formatApa, mla: formatMla, marcxml: formatMarcRecord };
+
+// Citation of one book in a style, ending with a newline
+export const formatCitation = (style, book) => CITATION_FORMATTERS[style](book);
+
+// Whole citation document for a few books, e.g. a single book's citation
+export const createCitationDocument = (style, books) => {
+	const { start = '', end = '' } = CITATION_WRAPPERS[style] ?? {};
+	return `${start}${books.map((book) => formatCitation(style, book)).join('')}${end}`;
+};
@@ -0,0 +1,31 @@
+// Cover images in the COVERS R2 bucket
+// Covers can be larger than other request bodies
+export const MAX_COVER_BYTES = 5 * 1048576;
+
+// Cover image formats, stored in the COVERS R2 bucket
+export const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// R2 key of a book's cover
+export const getCoverKey = (id) => `covers/${id}`;
+
+// Image format from the file's magic bytes, so a cover can't be stored under the wrong Content-Type
+export const sniffImageType = (bytes) => {
+	if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+		return 'image/jpeg';
+	}
+	if ([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((byte, index) => bytes[index] === byte)) {
+		return 'image/png';
+	}
+	if (String.fromCharCode(...bytes.slice(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP') {
+		return 'image/webp';
+	}
+	return null;
+};
+
+// Delete the covers of purged books, R2 deletes up to 1000 keys per call
+export const deleteCovers = async (env, books) => {
+	const keys = books.filter((book) => book.coverUrl).map((book) => getCoverKey(book.id));
+	for (let start = 0; start < keys.length; start += 1000) {
+		await env.COVERS.delete(keys.slice(start, start + 1000));
+	}
+};
@@ -0,0 +1,577 @@
+// Landing page, API docs and the OpenAPI document
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import openApiSpec from '../openapi-spec-schema.yaml';
+import { createHtmlResponse, createResponse, escapeHtml, generateNonce } from './http.js';
+import { API_ROUTES } from './routes.js';
+
+// Route pattern as shown to people, e.g. "/api/books/:id"
+const getDisplayPath = (pattern) => pattern.pathname.replace(/\([^)]*\)/g, '');
+
+// Route pattern as an OpenAPI path, e.g. "/api/books/{id}"
+const getOpenApiPath = (pattern) => getDisplayPath(pattern).replace(/:(\w+)/g, '{$1}');
+
+// Landing page endpoint list, rendered from API_ROUTES
+const renderEndpointList = () =>
+	API_ROUTES.flatMap(({ pattern, handlers, example }) =>
+		Object.keys(handlers).map((method) => {
+			const path = escapeHtml(getDisplayPath(pattern));
+			const link =
+				method === 'GET' && example ? `<a href="${escapeHtml(example)}" target="_blank" rel="noopener">${escapeHtml(example)}</a>` : path;
+			return `      <div class="endpoint"><span class="method ${method.toLowerCase()}">${method}</span> ${link}</div>`;
+		})
+	).join('\n');
+
+// OpenAPI document from openapi-spec-schema.yaml, checked against API_ROUTES: operations the Worker serves
+// but the spec doesn't describe get a placeholder, and operations no route serves are left out.
+// Built once per isolate.
+let openApiDocument = null;
+const getOpenApiDocument = () => {
+	if (openApiDocument) {
+		return openApiDocument;
+	}
+
+	const document = parseYaml(openApiSpec);
+	const paths = {};
+
+	for (const { pattern, handlers } of API_ROUTES) {
+		const path = getOpenApiPath(pattern);
+		const pathItem = document.paths[path] ?? {};
+		const { parameters, ...operations } = pathItem;
+
+		paths[path] = parameters ? { parameters } : {};
+		for (const method of Object.keys(handlers).map((name) => name.toLowerCase())) {
+			paths[path][method] = operations[method] ?? {
+				summary: `${method.toUpperCase()} ${path}`,
+				description: 'Served by the API but not described in openapi-spec-schema.yaml yet.',
+				responses: { default: { description: 'See the README' } },
+			};
+			delete operations[method];
+		}
+
+		for (const method of Object.keys(operations)) {
+			console.warn('OpenAPI operation without a route:', { method, path });
+		}
+	}
+
+	for (const path of Object.keys(document.paths)) {
+		if (!paths[path]) {
+			console.warn('OpenAPI path without a route:', { path });
+		}
+	}
+
+	openApiDocument = { ...document, paths };
+	return openApiDocument;
+};
+
+// Landing page HTML
+const getLandingPage = (nonce) => {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>Books Serverless API</title>
+  <style nonce="${nonce}">
+    /* === Reset & Base Styles === */
+    *, *::before, *::after {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    html {
+      scroll-behavior: smooth;
+      font-size: 100%;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #e4e6eb;
+      background: linear-gradient(135deg, #1a1b3a 0%, #27284f 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 1.5rem;
+    }
+
+    /* === Container === */
+    .container {
+      width: 100%;
+      max-width: 800px;
+      background: #1f1f2e;
+      border-radius: 1rem;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.6);
+      padding: 3rem;
+      animation: fadeIn 0.6s ease-out;
+    }
+
+    @keyframes fadeIn {
+      from { opacity: 0; transform: translateY(20px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+
+    /* === Typography === */
+    h1 {
+      font-size: 2.25rem;
+      color: #9fa8ff;
+      margin-bottom: 0.75rem;
+      font-weight: 700;
+      text-align: center;
+    }
+
+    .subtitle {
+      font-size: 1.1rem;
+      color: #b0b3c5;
+      text-align: center;
+      margin-bottom: 2rem;
+    }
+
+    .description {
+      margin-bottom: 2rem;
+      color: #c7c9d5;
+      font-size: 1rem;
+      text-align: center;
+    }
+
+    /* === Endpoints Section === */
+    .endpoints {
+      background: #2a2b45;
+      border-radius: 0.75rem;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      border: 1px solid rgba(255, 255, 255, 0.08);
+    }
+
+    .endpoints h2 {
+      font-size: 1.3rem;
+      color: #e4e6eb;
+      margin-bottom: 1rem;
+    }
+
+    .endpoint {
+      margin-bottom: 0.75rem;
+      font-family: 'Courier New', monospace;
+      font-size: 0.95rem;
+      color: #d2d4e0;
+      word-break: break-all;
+    }
+
+    .endpoint a {
+      color: #9fa8ff;
+      text-decoration: none;
+      transition: color 0.2s, text-shadow 0.2s;
+    }
+
+    .endpoint a:hover,
+    .endpoint a:focus {
+      color: #b8bfff;
+      text-shadow: 0 0 6px rgba(159, 168, 255, 0.6);
+      outline: none;
+    }
+
+    .method {
+      display: inline-block;
+      padding: 0.25rem 0.6rem;
+      border-radius: 0.4rem;
+      font-weight: bold;
+      margin-right: 0.5rem;
+      font-size: 0.75rem;
+      color: #fff;
+    }
+
+    .method.get    { background: #2196f3; }
+    .method.post   { background: #4caf50; }
+    .method.put    { background: #ff9800; }
+    .method.patch  { background: #9c27b0; }
+    .method.delete { background: #f44336; }
+
+    /* === Disclaimer === */
+    .disclaimer {
+      background: rgba(255, 255, 0, 0.1);
+      border-left: 4px solid #ffc107;
+      padding: 1rem;
+      margin-bottom: 2rem;
+      border-radius: 0.5rem;
+    }
+
+    .disclaimer h3 {
+      color: #ffda6b;
+      margin-bottom: 0.5rem;
+      font-size: 1.1rem;
+    }
+
+    .disclaimer p {
+      color: #ffeb99;
+      font-size: 0.95rem;
+    }
+
+    /* === CTA Button === */
+    .cta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.75rem;
+      justify-content: center;
+      margin-top: 1.5rem;
+    }
+
+    .button {
+      display: inline-block;
+      padding: 0.9rem 2rem;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+      text-decoration: none;
+      border-radius: 0.5rem;
+      font-weight: 600;
+      font-size: 1rem;
+      transition: transform 0.2s, box-shadow 0.2s;
+      box-shadow: 0 4px 12px rgba(118, 75, 162, 0.4);
+    }
+
+    .button:hover,
+    .button:focus {
+      transform: translateY(-2px);
+      box-shadow: 0 6px 20px rgba(118, 75, 162, 0.6);
+      outline: none;
+    }
+
+    /* === Footer === */
+    .footer {
+      margin-top: 2rem;
+      text-align: center;
+      color: #999;
+      font-size: 0.9rem;
+    }
+
+    /* === Responsive Design === */
+    @media (max-width: 768px) {
+      .container {
+        padding: 2rem 1.5rem;
+      }
+      h1 {
+        font-size: 1.8rem;
+      }
+      .subtitle {
+        font-size: 1rem;
+      }
+      .endpoint {
+        font-size: 0.9rem;
+      }
+    }
+
+    @media (max-width: 480px) {
+      h1 {
+        font-size: 1.6rem;
+      }
+      .button {
+        width: 100%;
+        padding: 0.9rem;
+      }
+    }
+  </style>
+</head>
+<body>
+  <main class="container" role="main">
+    <header>
+      <h1>📚 Books Serverless API</h1>
+      <p class="subtitle">Simple serverless REST API built with Cloudflare Workers and D1 Database.</p>
+    </header>
+
+    <section class="description">
+      <p>A modern serverless API for managing a book collection with full CRUD operations, search, pagination, and more — powered by Cloudflare Workers.</p>
+    </section>
+
+    <section class="endpoints" aria-label="API Endpoints">
+      <h2>API Endpoints</h2>
+${renderEndpointList()}
+    </section>
+
+    <aside class="disclaimer">
+      <h3>⚠️ Disclaimer</h3>
+      <p>This project demonstrates Cloudflare Workers and D1 database capabilities. It is intended for educational and demonstration purposes only.</p>
+    </aside>
+
+    <div class="cta">
+      <a href="/docs" class="button">Try the API →</a>
+      <a href="https://github.com/DavidJKTofan/cf-books-serverless-api" class="button" target="_blank" rel="noopener noreferrer">
+        View on GitHub →
+      </a>
+    </div>
+
+    <footer class="footer">
+      <p>Built with Cloudflare Workers &amp; D1 Database</p>
+    </footer>
+  </main>
+</body>
+</html>`;
+};
+
+// Interactive API docs: renders /openapi.json and sends requests from the browser
+const getDocsPage = (nonce) => {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>Books Serverless API · Docs</title>
+  <style nonce="${nonce}">
+    *, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.5;
+      color: #e4e6eb;
+      background: #1a1b3a;
+      padding: 2rem 1.5rem;
+    }
+
+    main { max-width: 960px; margin: 0 auto; }
+    h1 { color: #9fa8ff; font-size: 1.8rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; margin: 2rem 0 0.75rem; }
+    a { color: #9fa8ff; }
+    p.intro { color: #b0b3c5; margin-bottom: 1.5rem; }
+
+    .auth {
+      display: flex;
+      gap: 0.5rem;
+      align-items: center;
+      background: #2a2b45;
+      padding: 1rem;
+      border-radius: 0.75rem;
+    }
+
+    input, textarea, select {
+      font: 0.9rem 'Courier New', monospace;
+      color: #e4e6eb;
+      background: #1f1f2e;
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 0.4rem;
+      padding: 0.4rem 0.6rem;
+    }
+
+    .auth label { display: block; margin: 0; }
+    .auth input { flex: 1; }
+    textarea { width: 100%; min-height: 8rem; }
+
+    details {
+      background: #1f1f2e;
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 0.75rem;
+      margin-bottom: 0.5rem;
+    }
+
+    summary { cursor: pointer; padding: 0.75rem 1rem; font-family: 'Courier New', monospace; }
+    summary .summary { font-family: inherit; color: #b0b3c5; margin-left: 0.5rem; }
+    .operation { padding: 0 1rem 1rem; }
+    .operation p { color: #c7c9d5; margin-bottom: 0.75rem; }
+
+    .method {
+      display: inline-block;
+      min-width: 4.5rem;
+      text-align: center;
+      padding: 0.15rem 0.5rem;
+      border-radius: 0.4rem;
+      font-weight: bold;
+      font-size: 0.75rem;
+      color: #fff;
+      margin-right: 0.5rem;
+    }
+
+    .method.get    { background: #2196f3; }
+    .method.post   { background: #4caf50; }
+    .method.put    { background: #ff9800; }
+    .method.patch  { background: #9c27b0; }
+    .method.delete { background: #f44336; }
+
+    label { display: grid; grid-template-columns: 12rem 1fr; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem; }
+    label small { color: #999; }
+
+    button {
+      padding: 0.5rem 1.25rem;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+      border: 0;
+      border-radius: 0.4rem;
+      font-weight: 600;
+      cursor: pointer;
+      margin-top: 0.5rem;
+    }
+
+    pre {
+      margin-top: 0.75rem;
+      padding: 0.75rem;
+      background: #12121f;
+      border-radius: 0.4rem;
+      overflow: auto;
+      max-height: 24rem;
+      font-size: 0.85rem;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>📚 Books Serverless API</h1>
+    <p class="intro">Generated from <a href="/openapi.json">/openapi.json</a> (also as <a href="/openapi.yaml">YAML</a>). Requests are sent from your browser to this API.</p>
+
+    <div class="auth">
+      <label for="api-key">API key</label>
+      <input id="api-key" type="password" placeholder="bk_… (only needed for write routes)" autocomplete="off" />
+    </div>
+
+    <div id="operations"><p class="intro">Loading…</p></div>
+  </main>
+
+  <script nonce="${nonce}">
+    const apiKey = document.getElementById('api-key');
+    apiKey.value = sessionStorage.getItem('apiKey') || '';
+    apiKey.addEventListener('input', () => sessionStorage.setItem('apiKey', apiKey.value));
+
+    const element = (tag, props = {}, children = []) => {
+      const node = Object.assign(document.createElement(tag), props);
+      node.append(...children);
+      return node;
+    };
+
+    // Resolve local "#/components/..." references
+    const resolve = (spec, value) => {
+      while (value && value.$ref) {
+        value = value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec);
+      }
+      return value;
+    };
+
+    // Example body for a schema, built from the examples of its properties
+    const exampleFor = (spec, schema) => {
+      schema = resolve(spec, schema);
+      if (!schema) return null;
+      if (schema.example !== undefined) return schema.example;
+      if (schema.allOf) return Object.assign({}, ...schema.allOf.map((part) => exampleFor(spec, part)));
+      if (schema.type === 'array') return [exampleFor(spec, schema.items)];
+      if (schema.properties) {
+        return Object.fromEntries(Object.entries(schema.properties).filter(([, property]) => !property.readOnly).map(([name, property]) => [name, exampleFor(spec, property)]));
+      }
+      return null;
+    };
+
+    const renderOperation = (spec, path, method, operation, pathParameters) => {
+      const parameters = [...pathParameters, ...(operation.parameters || [])].map((parameter) => resolve(spec, parameter));
+      const inputs = parameters.map((parameter) => {
+        const schema = resolve(spec, parameter.schema) || {};
+        const input = element('input', { name: parameter.name, placeholder: String(schema.example ?? schema.default ?? '') });
+        input.dataset.in = parameter.in;
+        const hint = element('small', { textContent: parameter.in + (parameter.required ? ', required' : '') });
+        return element('label', {}, [element('span', {}, [parameter.name + ' ', hint]), input]);
+      });
+
+      const content = (resolve(spec, operation.requestBody) || {}).content || {};
+      const mediaTypes = Object.keys(content);
+      const typeSelect = element('select', {}, mediaTypes.map((type) => element('option', { value: type, textContent: type })));
+      const body = element('textarea');
+      const fillBody = () => {
+        const media = content[typeSelect.value] || {};
+        const examples = media.examples ? Object.values(media.examples).map((example) => resolve(spec, example).value) : [];
+        const example = media.example ?? examples[0] ?? exampleFor(spec, media.schema);
+        body.value = typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+      };
+      typeSelect.addEventListener('change', fillBody);
+      if (mediaTypes.length) fillBody();
+
+      const output = element('pre', { hidden: true });
+      const send = element('button', { type: 'button', textContent: 'Send request' });
+
+      send.addEventListener('click', async () => {
+        let url = path;
+        const query = new URLSearchParams();
+        const headers = {};
+        for (const input of inputs.map((label) => label.querySelector('input'))) {
+          if (input.value === '') continue;
+          if (input.dataset.in === 'path') url = url.replace('{' + input.name + '}', encodeURIComponent(input.value));
+          if (input.dataset.in === 'query') query.set(input.name, input.value);
+          if (input.dataset.in === 'header') headers[input.name] = input.value;
+        }
+        if (apiKey.value) headers.Authorization = 'Bearer ' + apiKey.value;
+        if (mediaTypes.length) headers['Content-Type'] = typeSelect.value;
+
+        output.hidden = false;
+        output.textContent = 'Sending…';
+        try {
+          const response = await fetch(url + (query.size ? '?' + query : ''), {
+            method: method.toUpperCase(),
+            headers,
+            body: mediaTypes.length && body.value ? body.value : undefined,
+          });
+          const lines = [response.status + ' ' + response.statusText];
+          response.headers.forEach((value, name) => lines.push(name + ': ' + value));
+          output.textContent = lines.join('\\n') + '\\n\\n' + (await response.text());
+        } catch (error) {
+          output.textContent = 'Request failed: ' + error.message;
+        }
+      });
+
+      return element('details', {}, [
+        element('summary', {}, [
+          element('span', { className: 'method ' + method, textContent: method.toUpperCase() }),
+          path,
+          element('span', { className: 'summary', textContent: operation.summary || '' }),
+        ]),
+        element('div', { className: 'operation' }, [
+          element('p', { textContent: operation.description || '' }),
+          ...inputs,
+          ...(mediaTypes.length ? [element('label', {}, ['Content-Type', typeSelect]), body] : []),
+          send,
+          output,
+        ]),
+      ]);
+    };
+
+    fetch('/openapi.json')
+      .then((response) => response.json())
+      .then((spec) => {
+        const groups = new Map((spec.tags || []).map((tag) => [tag.name, []]));
+        for (const [path, pathItem] of Object.entries(spec.paths)) {
+          const { parameters = [], ...operations } = pathItem;
+          for (const [method, operation] of Object.entries(operations)) {
+            const tag = (operation.tags || ['Other'])[0];
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(renderOperation(spec, path, method, operation, parameters));
+          }
+        }
+
+        document.getElementById('operations').replaceChildren(
+          ...[...groups].filter(([, operations]) => operations.length).flatMap(([tag, operations]) => [element('h2', { textContent: tag }), ...operations])
+        );
+      })
+      .catch((error) => {
+        document.getElementById('operations').textContent = 'Failed to load the OpenAPI document: ' + error.message;
+      });
+  </script>
+</body>
+</html>`;
+};
+
+// Landing page and interactive API docs
+export const serveLandingPage = () => {
+	const nonce = generateNonce();
+	return createHtmlResponse(getLandingPage(nonce), nonce);
+};
+
+export const serveDocsPage = () => {
+	const nonce = generateNonce();
+	return createHtmlResponse(getDocsPage(nonce), nonce);
+};
+
+// OpenAPI document, as JSON or YAML, pointing at the server that served it
+export const serveOpenApiDocument = ({ url, match }) => {
+	const { format } = match.pathname.groups;
+	const document = { ...getOpenApiDocument(), servers: [{ url: url.origin }] };
+
+	if (format === 'yaml') {
+		return new Response(stringifyYaml(document), {
+			headers: { 'Content-Type': 'application/yaml; charset=utf-8', 'Cache-Control': 'public, max-age=300' },
+		});
+	}
+	return createResponse(document, 200, { 'Cache-Control': 'public, max-age=300' });
+};
@@ -0,0 +1,88 @@
+// Error types, mapped to problem details by the mapErrors middleware
+export class ValidationError extends Error {
+	constructor(message, errors = []) {
+		super(message);
+		this.name = 'ValidationError';
+		this.status = 400;
+		this.errors = errors;
+	}
+}
+
+export class NotFoundError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'NotFoundError';
+		this.status = 404;
+	}
+}
+
+export class UnauthorizedError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'UnauthorizedError';
+		this.status = 401;
+	}
+}
+
+export class ForbiddenError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ForbiddenError';
+		this.status = 403;
+	}
+}
+
+export class ConflictError extends Error {
+	constructor(message, details = {}) {
+		super(message);
+		this.name = 'ConflictError';
+		this.status = 409;
+		this.details = details;
+	}
+}
+
+// `allow` lists the methods the route does serve, for the Allow header
+export class MethodNotAllowedError extends Error {
+	constructor(allow = [], message = 'Method not allowed') {
+		super(message);
+		this.name = 'MethodNotAllowedError';
+		this.status = 405;
+		this.allow = allow;
+	}
+}
+
+// `available` lists the media types the route can respond with
+export class NotAcceptableError extends Error {
+	constructor(available = [], message = 'None of the accepted media types is available') {
+		super(message);
+		this.name = 'NotAcceptableError';
+		this.status = 406;
+		this.available = available;
+	}
+}
+
+export class PreconditionFailedError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'PreconditionFailedError';
+		this.status = 412;
+	}
+}
+
+export class PayloadTooLargeError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'PayloadTooLargeError';
+		this.status = 413;
+	}
+}
+
+// `retryAfter` is the number of seconds to wait, for the Retry-After header
+export class RateLimitError extends Error {
+	constructor(message, retryAfter = null) {
+		super(message);
+		this.name = 'RateLimitError';
+		this.status = 429;
+		this.retryAfter = retryAfter;
+	}
+}
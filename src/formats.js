@@ -0,0 +1,269 @@
+// Content negotiation for books: compact JSON, CSV, XML and HTML representations
+import { NotAcceptableError, ValidationError } from './errors.js';
+import { createHtmlResponse, createResponse, escapeHtml, escapeXml, generateNonce } from './http.js';
+import { BOOK_CSV_COLUMNS, toCsvRow } from './bulk.js';
+
+// Representations by `?format=` name, in order of preference when the Accept header rates several the same
+export const BOOK_FORMATS = {
+	json: 'application/json',
+	csv: 'text/csv; charset=utf-8',
+	xml: 'application/xml; charset=utf-8',
+	html: 'text/html; charset=utf-8',
+};
+
+// Other media types that ask for a representation
+const FORMAT_ALIASES = { xml: ['text/xml'] };
+
+// Element names of array items in XML, by the array's name
+const XML_ITEM_NAMES = { data: 'book', results: 'book', authors: 'author' };
+
+// Columns of the HTML table, the full book is one click away
+const HTML_COLUMNS = ['title', 'author', 'year', 'isbn', 'genre'];
+
+// Accept header as media ranges with their quality, e.g. [{ range: 'text/html', q: 1 }]
+const parseAccept = (header) =>
+	header
+		.split(',')
+		.map((part) => {
+			const [range, ...parameters] = part.split(';').map((value) => value.trim().toLowerCase());
+			const quality = parameters.find((parameter) => parameter.startsWith('q='));
+			const q = quality ? Number.parseFloat(quality.slice(2)) : 1;
+			return { range, q: Number.isNaN(q) ? 0 : Math.min(Math.max(q, 0), 1) };
+		})
+		.filter(({ range }) => range.includes('/'));
+
+// Quality the client gives a media type: the most specific range that matches it decides
+const getQuality = (ranges, mediaType) => {
+	const [type] = mediaType.split('/');
+	const match =
+		ranges.find(({ range }) => range === mediaType) ??
+		ranges.find(({ range }) => range === `${type}/*`) ??
+		ranges.find(({ range }) => range === '*/*');
+	return match?.q ?? 0;
+};
+
+const getMediaTypes = (format, contentType) => [contentType.split(';')[0], ...(FORMAT_ALIASES[format] ?? [])];
+
+// Representation asked for with `?format=` or, without it, the Accept header. Null means the default
+// pretty-printed JSON: no Accept header, or one that only takes JSON through a wildcard such as curl's.
+export const negotiateFormat = (request, params, formats) => {
+	if (params.has('format')) {
+		const format = params.get('format');
+		if (!Object.hasOwn(formats, format)) {
+			throw new ValidationError(`Format must be one of: ${Object.keys(formats).join(', ')}`);
+		}
+		return format;
+	}
+
+	const header = request.headers.get('accept');
+	if (!header) {
+		return null;
+	}
+
+	const ranges = parseAccept(header);
+	let best = null;
+	let bestQuality = 0;
+	for (const [format, contentType] of Object.entries(formats)) {
+		const quality = Math.max(...getMediaTypes(format, contentType).map((mediaType) => getQuality(ranges, mediaType)));
+		if (quality > bestQuality) {
+			best = format;
+			bestQuality = quality;
+		}
+	}
+
+	if (!best) {
+		throw new NotAcceptableError(Object.values(formats).map((contentType) => contentType.split(';')[0]));
+	}
+	if (best === 'json' && !ranges.some(({ range }) => range === 'application/json')) {
+		return null;
+	}
+	return best;
+};
+
+// Entity tag of a representation: every format has its own, the default JSON keeps the plain one
+export const getFormatEtag = (etag, format) => (format ? `${etag.slice(0, -1)}-${format}"` : etag);
+
+// JSON value as an XML element: object keys become child elements, array items are named after
+// the array (XML_ITEM_NAMES) and null is an empty element
+const toXml = (name, value, indent = '') => {
+	if (value === null || value === undefined) {
+		return `${indent}<${name}/>\n`;
+	}
+
+	let children = null;
+	if (Array.isArray(value)) {
+		children = value.map((item) => toXml(XML_ITEM_NAMES[name] ?? 'item', item, `${indent}  `));
+	} else if (typeof value === 'object') {
+		children = Object.entries(value).map(([key, item]) => toXml(key, item, `${indent}  `));
+	}
+
+	if (!children) {
+		return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+	}
+	return children.length ? `${indent}<${name}>\n${children.join('')}${indent}</${name}>\n` : `${indent}<${name}/>\n`;
+};
+
+// Same URL with other query parameters, as a relative link
+const withParams = (url, params) => {
+	const link = new URL(url);
+	for (const [name, value] of Object.entries(params)) {
+		if (value === null) {
+			link.searchParams.delete(name);
+		} else {
+			link.searchParams.set(name, value);
+		}
+	}
+	return `${link.pathname}${link.search}`;
+};
+
+const renderBookTable = (books) => {
+	const header = HTML_COLUMNS.map((column) => `<th scope="col">${column}</th>`).join('');
+	const rows = books.map((book) => {
+		const cells = HTML_COLUMNS.map((column) =>
+			column === 'title'
+				? `<td><a href="/api/books/${book.id}?format=html">${escapeHtml(book.title)}</a></td>`
+				: `<td>${escapeHtml(book[column] ?? '')}</td>`
+		);
+		return `        <tr>${cells.join('')}</tr>`;
+	});
+	return `      <table>
+        <thead><tr>${header}</tr></thead>
+        <tbody>
+${rows.join('\n')}
+        </tbody>
+      </table>`;
+};
+
+const renderBookDetails = (book) => {
+	const rows = Object.entries(book).map(([field, value]) => {
+		const text = field === 'authors' ? value.map((author) => author.name).join(', ') : value ?? '';
+		return `        <tr><th scope="row">${field}</th><td>${escapeHtml(text)}</td></tr>`;
+	});
+	return `      <table class="details">
+        <tbody>
+${rows.join('\n')}
+        </tbody>
+      </table>`;
+};
+
+// Book table page, styled like the landing page
+const getBooksPage = (nonce, url, { title, books, book, pagination }) => {
+	const subtitle = book ? `by ${book.author}` : `${books.length}${pagination?.total !== undefined ? ` of ${pagination.total}` : ''} books`;
+	const pages = [
+		pagination?.prev_cursor &&
+			`<a href="${escapeHtml(withParams(url, { cursor: pagination.prev_cursor, page: null }))}" class="button">← Previous</a>`,
+		pagination?.next_cursor &&
+			`<a href="${escapeHtml(withParams(url, { cursor: pagination.next_cursor, page: null }))}" class="button">Next →</a>`,
+	].filter(Boolean);
+	const formats = ['json', 'csv', 'xml'].map(
+		(format) => `<a href="${escapeHtml(withParams(url, { format }))}">${format.toUpperCase()}</a>`
+	);
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)} · Books Serverless API</title>
+  <style nonce="${nonce}">
+    *, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #e4e6eb;
+      background: linear-gradient(135deg, #1a1b3a 0%, #27284f 100%);
+      min-height: 100vh;
+      padding: 1.5rem;
+    }
+
+    .container {
+      max-width: 1100px;
+      margin: 0 auto;
+      background: #1f1f2e;
+      border-radius: 1rem;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.6);
+      padding: 2rem;
+    }
+
+    h1 { font-size: 1.8rem; color: #9fa8ff; margin-bottom: 0.25rem; }
+    .subtitle { color: #b0b3c5; margin-bottom: 1.5rem; }
+    a { color: #9fa8ff; text-decoration: none; }
+    a:hover, a:focus { color: #b8bfff; }
+
+    .books {
+      background: #2a2b45;
+      border-radius: 0.75rem;
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      overflow-x: auto;
+    }
+
+    table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+    th, td { padding: 0.6rem 1rem; text-align: left; vertical-align: top; border-bottom: 1px solid rgba(255, 255, 255, 0.08); }
+    thead th { color: #b0b3c5; font-weight: 600; text-transform: capitalize; }
+    tbody tr:last-child th, tbody tr:last-child td { border-bottom: 0; }
+    .details th { width: 12rem; color: #b0b3c5; font-family: 'Courier New', monospace; font-weight: normal; }
+
+    .cta { display: flex; gap: 0.75rem; justify-content: center; margin-top: 1.5rem; }
+
+    .button {
+      display: inline-block;
+      padding: 0.6rem 1.5rem;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #fff;
+      border-radius: 0.5rem;
+      font-weight: 600;
+      box-shadow: 0 4px 12px rgba(118, 75, 162, 0.4);
+    }
+
+    .footer { margin-top: 1.5rem; text-align: center; color: #999; font-size: 0.9rem; }
+
+    @media (max-width: 768px) {
+      .container { padding: 1.5rem 1rem; }
+      h1 { font-size: 1.5rem; }
+    }
+  </style>
+</head>
+<body>
+  <main class="container" role="main">
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      <p class="subtitle">${escapeHtml(subtitle)}</p>
+    </header>
+
+    <section class="books">
+${book ? renderBookDetails(book) : renderBookTable(books)}
+    </section>
+${pages.length ? `\n    <nav class="cta">${pages.join(' ')}</nav>\n` : ''}
+    <footer class="footer">
+      <p>Also as ${formats.join(' · ')} · <a href="/">Books Serverless API</a></p>
+    </footer>
+  </main>
+</body>
+</html>`;
+};
+
+// Response in the negotiated representation. `body` is the JSON document, also the XML one under a
+// `root` element. CSV and HTML show `books` as rows (or a single `book`), with `pagination` links.
+// HTML pages carry their own nonce, so they leave out `headers` and aren't cached.
+export const createBookRepresentation = (format, url, representation, headers = {}) => {
+	const { root, body, books, book } = representation;
+
+	if (format === 'json') {
+		return new Response(JSON.stringify(body), { headers: { 'Content-Type': BOOK_FORMATS.json, ...headers } });
+	}
+	if (format === 'csv') {
+		const rows = (books ?? [book]).map((item) => toCsvRow(BOOK_CSV_COLUMNS.map((column) => item[column])));
+		return new Response(toCsvRow(BOOK_CSV_COLUMNS) + rows.join(''), { headers: { 'Content-Type': BOOK_FORMATS.csv, ...headers } });
+	}
+	if (format === 'xml') {
+		return new Response(`<?xml version="1.0" encoding="UTF-8"?>\n${toXml(root, body)}`, {
+			headers: { 'Content-Type': BOOK_FORMATS.xml, ...headers },
+		});
+	}
+	if (format === 'html') {
+		const nonce = generateNonce();
+		return createHtmlResponse(getBooksPage(nonce, url, representation), nonce);
+	}
+	return createResponse(body, 200, headers);
+};
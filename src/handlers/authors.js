@@ -0,0 +1,261 @@
+// Authors and their books
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { requireRole } from '../auth.js';
+import { validateAuthorInput } from '../validation.js';
+import { buildOrderBy, buildWhereClause, escapeLike, executeQuery, parseSort, safeParseInt } from '../query.js';
+import { AUTHOR_COLUMNS_SQL, authorKeySql, BOOK_AUTHORS_DISPLAY_SQL, BOOK_SNAPSHOT_SQL, withAuthors } from '../books.js';
+import { storeInCache } from '../cache.js';
+import { dispatchWebhooks } from '../webhooks.js';
+
+// Authors collection endpoint
+export const listAuthors = async ({ env, ctx, params, cacheEntry }) => {
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+	const name = params.get('q');
+
+	if (name && name.length > 200) {
+		throw new ValidationError('Search query too long (max 200 characters)');
+	}
+
+	const where = name ? "WHERE authors.name LIKE ? ESCAPE '\\'" : '';
+	const bindings = name ? [`%${escapeLike(name)}%`] : [];
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare(`SELECT COUNT(*) as count FROM authors ${where}`).bind(...bindings));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(
+			`
+			SELECT ${AUTHOR_COLUMNS_SQL},
+				(SELECT COUNT(*) FROM book_authors JOIN books ON books.id = book_authors.book_id
+				WHERE book_authors.author_id = authors.id AND books.deleted_at IS NULL) AS book_count
+			FROM authors
+			${where}
+			ORDER BY authors.name COLLATE NOCASE ASC, authors.id ASC
+			LIMIT ? OFFSET ?
+		`
+		).bind(...bindings, limit, (page - 1) * limit)
+	);
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(
+			{
+				data: results,
+				pagination: {
+					total: count,
+					page,
+					limit,
+					pages: Math.ceil(count / limit),
+				},
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=60, stale-while-revalidate=120',
+			}
+		)
+	);
+};
+
+export const createAuthor = async ({ request, env, requestId, principal }) => {
+	requireRole(principal, 'editor');
+
+	const input = await request.json();
+	validateAuthorInput(input);
+
+	const result = await env.DB.prepare(
+		`INSERT INTO authors (name, name_key) VALUES (?, ${authorKeySql('?')}) ON CONFLICT (name_key) DO NOTHING`
+	)
+		.bind(input.name.trim(), input.name)
+		.run();
+
+	if (result.meta.changes === 0) {
+		const existing = await env.DB.prepare(`SELECT id FROM authors WHERE name_key = ${authorKeySql('?')}`)
+			.bind(input.name)
+			.first();
+		throw new ConflictError(`Author already exists with ID ${existing.id}`);
+	}
+
+	const created = await env.DB.prepare(`SELECT ${AUTHOR_COLUMNS_SQL} FROM authors WHERE id = ?`).bind(result.meta.last_row_id).first();
+
+	console.log('Author created:', {
+		requestId,
+		authorId: created.id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(created, 201, { Location: `/api/authors/${created.id}` });
+};
+
+// Books of one author
+export const listAuthorBooks = async ({ env, ctx, params, match, cacheEntry }) => {
+	const authorId = safeParseInt(match.pathname.groups.id, 0);
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 10), 100);
+	const sort = parseSort(params.get('sort'));
+
+	const author = await env.DB.prepare(`SELECT ${AUTHOR_COLUMNS_SQL} FROM authors WHERE id = ?`).bind(authorId).first();
+	if (!author) {
+		throw new NotFoundError('Author not found');
+	}
+
+	const where = buildWhereClause(['books.deleted_at IS NULL', 'books.id IN (SELECT book_id FROM book_authors WHERE author_id = ?)']);
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare(`SELECT COUNT(*) as count FROM books ${where}`).bind(authorId));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(`SELECT * FROM books ${where} ORDER BY ${buildOrderBy(sort)} LIMIT ? OFFSET ?`).bind(authorId, limit, (page - 1) * limit)
+	);
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(
+			{
+				author,
+				data: await withAuthors(env, results),
+				pagination: {
+					total: count,
+					page,
+					limit,
+					pages: Math.ceil(count / limit),
+				},
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=60, stale-while-revalidate=120',
+			}
+		)
+	);
+};
+
+// Author with the number of books linked to it, not counting deleted books
+const loadAuthor = async (env, authorId) => {
+	const author = await env.DB.prepare(
+		`
+		SELECT ${AUTHOR_COLUMNS_SQL},
+			(SELECT COUNT(*) FROM book_authors JOIN books ON books.id = book_authors.book_id
+			WHERE book_authors.author_id = authors.id AND books.deleted_at IS NULL) AS book_count
+		FROM authors
+		WHERE id = ?
+	`
+	)
+		.bind(authorId)
+		.first();
+
+	if (!author) {
+		throw new NotFoundError('Author not found');
+	}
+
+	return author;
+};
+
+// Single author endpoint
+export const getAuthor = async ({ env, ctx, match, cacheEntry }) => {
+	const author = await loadAuthor(env, safeParseInt(match.pathname.groups.id, 0));
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(author, 200, {
+			'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+		})
+	);
+};
+
+// Renaming an author rewrites the author string of every linked book that isn't in the trash.
+// Deleted books pick up the new name when they are restored.
+export const renameAuthor = async ({ request, env, ctx, match, requestId, principal, audit }) => {
+	requireRole(principal, 'editor');
+
+	const authorId = safeParseInt(match.pathname.groups.id, 0);
+	const author = await loadAuthor(env, authorId);
+
+	const input = await request.json();
+	validateAuthorInput(input);
+
+	const existing = await env.DB.prepare(`SELECT id FROM authors WHERE name_key = ${authorKeySql('?')} AND id != ?`)
+		.bind(input.name, authorId)
+		.first();
+	if (existing) {
+		throw new ConflictError(`Author already exists with ID ${existing.id}`);
+	}
+
+	const linkedBooks = 'deleted_at IS NULL AND id IN (SELECT book_id FROM book_authors WHERE author_id = ?)';
+
+	// Book revisions get their `before` snapshot first and their `after` snapshot once the books are updated
+	const [, , { results: updated }] = await env.DB.batch([
+		env.DB.prepare(
+			`
+			INSERT INTO book_revisions (book_id, action, before_data, after_data, request_id, actor)
+			SELECT id, 'update', ${BOOK_SNAPSHOT_SQL}, NULL, ?, ? FROM books WHERE ${linkedBooks}
+		`
+		).bind(audit.requestId, audit.actor, authorId),
+		env.DB.prepare(`UPDATE authors SET name = ?, name_key = ${authorKeySql('?')} WHERE id = ?`).bind(
+			input.name.trim(),
+			input.name,
+			authorId
+		),
+		env.DB.prepare(`UPDATE books SET author = ${BOOK_AUTHORS_DISPLAY_SQL}, version = version + 1 WHERE ${linkedBooks} RETURNING id`).bind(
+			authorId
+		),
+		env.DB.prepare(
+			`
+			UPDATE book_revisions
+			SET after_data = (SELECT ${BOOK_SNAPSHOT_SQL} FROM books WHERE books.id = book_revisions.book_id)
+			WHERE request_id = ? AND after_data IS NULL
+		`
+		).bind(audit.requestId),
+	]);
+
+	if (updated.length) {
+		ctx.waitUntil(
+			dispatchWebhooks(env, 'book.updated', async () => {
+				const { results } = await executeQuery(
+					env.DB.prepare('SELECT * FROM books WHERE id IN (SELECT value FROM json_each(?)) ORDER BY id').bind(
+						JSON.stringify(updated.map(({ id }) => id))
+					)
+				);
+				return withAuthors(env, results);
+			})
+		);
+	}
+
+	console.log('Author updated:', {
+		requestId,
+		authorId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse({ ...author, name: input.name.trim() });
+};
+
+export const deleteAuthor = async ({ env, match, requestId, principal }) => {
+	requireRole(principal, 'editor');
+
+	const authorId = safeParseInt(match.pathname.groups.id, 0);
+	await loadAuthor(env, authorId);
+
+	const linked = await env.DB.prepare('SELECT COUNT(*) as count FROM book_authors WHERE author_id = ?').bind(authorId).first();
+	if (linked.count > 0) {
+		throw new ConflictError('Author still has books, including any in the trash');
+	}
+
+	await env.DB.prepare('DELETE FROM authors WHERE id = ?').bind(authorId).run();
+
+	console.log('Author deleted:', {
+		requestId,
+		authorId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
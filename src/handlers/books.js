@@ -0,0 +1,367 @@
+// Books collection, single books, search and ISBN lookups
+import { NotFoundError, PreconditionFailedError, ValidationError } from '../errors.js';
+import { checkIfMatch, createResponse, getMediaType, isNotModified, prefersMinimal, prefersStrict } from '../http.js';
+import { requireRole } from '../auth.js';
+import { toIsbn13, validateBook } from '../validation.js';
+import {
+	buildBookFilters,
+	buildFtsQuery,
+	buildKeysetCondition,
+	buildOrderBy,
+	buildWhereClause,
+	decodeCursor,
+	encodeCursor,
+	executeQuery,
+	parseSearchWeights,
+	parseSort,
+	safeParseInt,
+	SEARCH_FIELDS,
+} from '../query.js';
+import {
+	ALLOWED_UPDATE_FIELDS,
+	applyJsonPatch,
+	applyMergePatch,
+	buildRevisionStatement,
+	checkDuplicateIsbn,
+	getBookEtag,
+	insertBooksBatch,
+	MERGE_PATCH_TYPE,
+	normalizeBookFields,
+	PATCH_TYPES,
+	withAuthors,
+	writeBookFields,
+} from '../books.js';
+import { dispatchWebhooks } from '../webhooks.js';
+import { CLIENT_CACHE_CONTROL, storeInCache } from '../cache.js';
+import { createBookRepresentation, getFormatEtag } from '../formats.js';
+
+// Search endpoint
+export const searchBooks = async ({ env, ctx, url, params, format, cacheEntry }) => {
+	const query = params.get('q');
+	if (!query) {
+		throw new ValidationError('Search query `?q=` is required');
+	}
+
+	if (query.length > 200) {
+		throw new ValidationError('Search query too long (max 200 characters)');
+	}
+
+	const matchQuery = buildFtsQuery(query);
+	const weights = parseSearchWeights(params.get('weights'));
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+	const filters = buildBookFilters(params);
+
+	// bm25() returns lower scores for better matches, so results are ordered ascending
+	// and the score is negated in the response to read as "higher is more relevant"
+	const { results } = await executeQuery(
+		env.DB.prepare(
+			`
+			SELECT books.*,
+				-bm25(books_fts, ${SEARCH_FIELDS.map(() => '?').join(', ')}) AS score,
+				snippet(books_fts, -1, '<mark>', '</mark>', '…', 16) AS snippet
+			FROM books_fts
+			JOIN books ON books.id = books_fts.rowid
+			${buildWhereClause(['books_fts MATCH ?', ...filters.conditions])}
+			ORDER BY bm25(books_fts, ${SEARCH_FIELDS.map(() => '?').join(', ')}) ASC, books.id ASC
+			LIMIT ?
+		`
+		).bind(
+			...SEARCH_FIELDS.map((field) => weights[field]),
+			matchQuery,
+			...filters.bindings,
+			...SEARCH_FIELDS.map((field) => weights[field]),
+			limit
+		)
+	).catch((error) => {
+		if (error.message.includes('fts5')) {
+			throw new ValidationError('Invalid search query syntax');
+		}
+		throw error;
+	});
+
+	const body = {
+		query,
+		results: await withAuthors(env, results),
+		count: results.length,
+	};
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createBookRepresentation(
+			format,
+			url,
+			{ root: 'search', title: `Search: ${query}`, body, books: body.results },
+			{
+				'Cache-Control': 'public, max-age=60, stale-while-revalidate=120',
+			}
+		)
+	);
+};
+
+// Books collection endpoint
+export const listBooks = async ({ env, ctx, url, params, format, cacheEntry }) => {
+	const limit = Math.min(safeParseInt(params.get('limit'), 10), 100);
+	const includeTotal = params.get('include_total') !== 'false';
+	const sort = parseSort(params.get('sort'));
+	const cursor = params.has('cursor') ? decodeCursor(params.get('cursor'), sort) : null;
+	const page = cursor ? null : safeParseInt(params.get('page'), 1);
+	const filters = buildBookFilters(params);
+
+	let query = 'SELECT * FROM books WHERE 1=1';
+	const bindings = [...filters.bindings];
+
+	for (const condition of filters.conditions) {
+		query += ` AND ${condition}`;
+	}
+
+	let total = null;
+	if (includeTotal) {
+		const countQuery = query.replace('*', 'COUNT(*) as count');
+		const {
+			results: [{ count }],
+		} = await executeQuery(env.DB.prepare(countQuery).bind(...bindings));
+		total = count;
+	}
+
+	// Fetch one extra row to know whether there is another page in the read direction
+	const reverse = cursor?.direction === 'prev';
+	if (cursor) {
+		const keyset = buildKeysetCondition(sort, cursor);
+		query += ` AND ${keyset.sql} ORDER BY ${buildOrderBy(sort, reverse)} LIMIT ?`;
+		bindings.push(...keyset.bindings, limit + 1);
+	} else {
+		query += ` ORDER BY ${buildOrderBy(sort)} LIMIT ? OFFSET ?`;
+		bindings.push(limit + 1, (page - 1) * limit);
+	}
+
+	const { results } = await executeQuery(env.DB.prepare(query).bind(...bindings));
+
+	const hasMore = results.length > limit;
+	const data = results.slice(0, limit);
+	if (reverse) {
+		data.reverse();
+	}
+
+	const hasNext = reverse ? true : hasMore;
+	const hasPrev = reverse ? hasMore : Boolean(cursor) || page > 1;
+
+	const pagination = {
+		...(includeTotal && { total }),
+		...(page && { page }),
+		limit,
+		...(includeTotal && page && { pages: Math.ceil(total / limit) }),
+		next_cursor: hasNext && data.length ? encodeCursor(data[data.length - 1], sort, 'next') : null,
+		prev_cursor: hasPrev && data.length ? encodeCursor(data[0], sort, 'prev') : null,
+	};
+
+	const body = {
+		data: await withAuthors(env, data),
+		pagination,
+	};
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createBookRepresentation(
+			format,
+			url,
+			{ root: 'books', title: 'Books', body, books: body.data, pagination },
+			{
+				'Cache-Control': 'public, max-age=60, stale-while-revalidate=120',
+			}
+		)
+	);
+};
+
+export const createBook = async ({ request, env, ctx, requestId, principal, audit }) => {
+	requireRole(principal, 'editor');
+
+	const book = await request.json();
+	if (!book || typeof book !== 'object' || Array.isArray(book)) {
+		throw new ValidationError('Request body must be a JSON object');
+	}
+	validateBook(book, false, { strict: prefersStrict(request) });
+	await checkDuplicateIsbn(env, book.isbn ? toIsbn13(book.isbn) : null);
+
+	const [bookId] = await insertBooksBatch(env, [book], audit);
+
+	const {
+		results: [created],
+	} = await executeQuery(env.DB.prepare('SELECT * FROM books WHERE id = ?').bind(bookId));
+	const [inserted] = await withAuthors(env, [created]);
+	ctx.waitUntil(dispatchWebhooks(env, 'book.created', async () => [inserted]));
+
+	console.log('Book created:', {
+		requestId,
+		bookId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	const createdHeaders = { ETag: getBookEtag(inserted), Location: `/api/books/${inserted.id}` };
+	if (prefersMinimal(request)) {
+		return createResponse(null, 201, { ...createdHeaders, 'Preference-Applied': 'return=minimal' });
+	}
+
+	return createResponse(inserted, 201, createdHeaders);
+};
+
+// Book lookup by ISBN-10 or ISBN-13, with or without hyphens
+export const getBookByIsbn = async ({ env, ctx, url, match, format, cacheEntry }) => {
+	const isbn13 = toIsbn13(decodeURIComponent(match.pathname.groups.isbn));
+	if (!isbn13) {
+		throw new ValidationError('Invalid ISBN: must be an ISBN-10 or ISBN-13 with a valid check digit');
+	}
+
+	const found = await env.DB.prepare('SELECT * FROM books WHERE isbn13 = ? AND deleted_at IS NULL').bind(isbn13).first();
+	if (!found) {
+		throw new NotFoundError('Book not found');
+	}
+
+	const [book] = await withAuthors(env, [found]);
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createBookRepresentation(
+			format,
+			url,
+			{ root: 'book', title: book.title, body: book, book },
+			{
+				ETag: getFormatEtag(getBookEtag(book), format),
+				'Content-Location': `/api/books/${book.id}`,
+				'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+			}
+		)
+	);
+};
+
+const parseBookId = (match) => {
+	const id = safeParseInt(match.pathname.groups.id, 0);
+
+	if (id === 0) {
+		throw new ValidationError('Invalid book ID');
+	}
+	return id;
+};
+
+const loadBook = async (env, id) => {
+	const {
+		results: [found],
+	} = await executeQuery(env.DB.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL').bind(id));
+
+	if (!found) {
+		throw new NotFoundError('Book not found');
+	}
+
+	const [book] = await withAuthors(env, [found]);
+	return book;
+};
+
+// Single book endpoint
+export const getBook = async ({ request, env, ctx, url, match, format, cacheEntry }) => {
+	const book = await loadBook(env, parseBookId(match));
+	const etag = getFormatEtag(getBookEtag(book), format);
+
+	const headers = {
+		ETag: etag,
+		'Accept-Patch': PATCH_TYPES.join(', '),
+		'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+	};
+
+	// A 304 has no body, so no Content-Type and nothing to cache, but the Cache-Control of the 200 it stands for
+	if (isNotModified(request, etag)) {
+		return new Response(null, { status: 304, headers: cacheEntry ? { ...headers, 'Cache-Control': CLIENT_CACHE_CONTROL } : headers });
+	}
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createBookRepresentation(format, url, { root: 'book', title: book.title, body: book, book }, headers)
+	);
+};
+
+// PUT replaces the whole book, PATCH applies a merge patch or JSON Patch to it
+export const updateBook = async ({ request, env, ctx, match, requestId, principal, audit }) => {
+	const id = parseBookId(match);
+	requireRole(principal, 'editor');
+
+	const book = await loadBook(env, id);
+	checkIfMatch(request, getBookEtag(book));
+
+	const body = await request.json();
+	let next;
+
+	if (request.method === 'PUT') {
+		if (!body || typeof body !== 'object' || Array.isArray(body)) {
+			throw new ValidationError('Request body must be a JSON object');
+		}
+		next = body;
+	} else if (getMediaType(request) === MERGE_PATCH_TYPE) {
+		next = applyMergePatch(book, body);
+	} else {
+		next = applyJsonPatch(book, body);
+	}
+
+	// Both methods end with a complete book, validated like a new one.
+	// Strict mode checks the fields that were sent (JSON Patch paths are always checked).
+	validateBook(next, false, { strict: prefersStrict(request) && !Array.isArray(body), body });
+
+	const fields = normalizeBookFields(next);
+	const updateFields = ALLOWED_UPDATE_FIELDS.filter((field) => fields[field] !== book[field]);
+
+	const updated = await writeBookFields(env, book, fields, audit, 'update');
+	ctx.waitUntil(dispatchWebhooks(env, 'book.updated', async () => [updated]));
+
+	console.log('Book updated:', {
+		requestId,
+		bookId: id,
+		apiKeyId: principal.id,
+		method: request.method,
+		updatedFields: updateFields,
+		timestamp: new Date().toISOString(),
+	});
+
+	if (prefersMinimal(request)) {
+		return createResponse(null, 204, { ETag: getBookEtag(updated), 'Preference-Applied': 'return=minimal' });
+	}
+
+	return createResponse(updated, 200, { ETag: getBookEtag(updated) });
+};
+
+export const deleteBook = async ({ request, env, ctx, match, requestId, principal, audit }) => {
+	const id = parseBookId(match);
+	requireRole(principal, 'editor');
+
+	const book = await loadBook(env, id);
+	checkIfMatch(request, getBookEtag(book));
+
+	// Soft delete: the book moves to the trash and can be restored until it is purged
+	const [result] = await env.DB.batch([
+		env.DB.prepare('UPDATE books SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ? AND version = ?').bind(
+			id,
+			book.version
+		),
+		buildRevisionStatement(env, audit, 'delete', id, book),
+	]);
+
+	if (!result.success) {
+		throw new Error('Failed to delete book');
+	}
+
+	if (result.meta.changes === 0) {
+		throw new PreconditionFailedError('Book was modified by another request, get the latest version and retry');
+	}
+
+	// The payload is the book as it was before it moved to the trash
+	ctx.waitUntil(dispatchWebhooks(env, 'book.deleted', async () => [book]));
+
+	console.log('Book deleted:', {
+		requestId,
+		bookId: id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
@@ -0,0 +1,152 @@
+// Bulk import and export
+import { ValidationError } from '../errors.js';
+import { createResponse, prefersStrict } from '../http.js';
+import { requireRole } from '../auth.js';
+import { toIsbn13, validateBook } from '../validation.js';
+import { executeQuery } from '../query.js';
+import { insertBooksBatch, withAuthors } from '../books.js';
+import { BULK_BATCH_SIZE, BULK_IMPORT_MAX_ROWS, createExportStream, EXPORT_FORMATS, parseBulkImport } from '../bulk.js';
+import { CITATION_STYLES } from '../citations.js';
+import { dispatchWebhooks } from '../webhooks.js';
+
+// Bulk import endpoint
+export const importBooks = async ({ request, env, ctx, params, requestId, principal, audit }) => {
+	requireRole(principal, 'editor');
+
+	const mode = params.get('mode') || 'atomic';
+	if (!['atomic', 'partial'].includes(mode)) {
+		throw new ValidationError('Mode must be atomic or partial');
+	}
+
+	const strict = prefersStrict(request);
+	const rows = await parseBulkImport(request);
+	if (rows.length === 0) {
+		throw new ValidationError('No books to import');
+	}
+	if (rows.length > BULK_IMPORT_MAX_ROWS) {
+		throw new ValidationError(`Too many books (max ${BULK_IMPORT_MAX_ROWS} per request)`);
+	}
+
+	// Validate every row up front so all problems are reported at once
+	const errors = [];
+	const validated = [];
+	for (const { row, book, error } of rows) {
+		if (error) {
+			errors.push({ row, error });
+			continue;
+		}
+		try {
+			if (!book || typeof book !== 'object' || Array.isArray(book)) {
+				throw new ValidationError('Row must be an object');
+			}
+			validateBook(book, false, { strict });
+			validated.push({ row, book, isbn13: book.isbn ? toIsbn13(book.isbn) : null });
+		} catch (validationError) {
+			if (!(validationError instanceof ValidationError)) {
+				throw validationError;
+			}
+			errors.push({
+				row,
+				error: validationError.message,
+				...(validationError.errors.length && { errors: validationError.errors }),
+			});
+		}
+	}
+
+	// ISBNs already used by an active book or by an earlier row
+	const { results: existing } = await executeQuery(
+		env.DB.prepare('SELECT id, isbn13 FROM books WHERE deleted_at IS NULL AND isbn13 IN (SELECT value FROM json_each(?))').bind(
+			JSON.stringify(validated.map(({ isbn13 }) => isbn13).filter(Boolean))
+		)
+	);
+	const isbnOwners = new Map(existing.map(({ id, isbn13 }) => [isbn13, `book ${id}`]));
+	const valid = [];
+	for (const { row, book, isbn13 } of validated) {
+		if (isbn13 && isbnOwners.has(isbn13)) {
+			errors.push({ row, error: `Duplicate ISBN ${isbn13}, already used by ${isbnOwners.get(isbn13)}` });
+			continue;
+		}
+		if (isbn13) {
+			isbnOwners.set(isbn13, `row ${row}`);
+		}
+		valid.push({ row, book });
+	}
+	errors.sort((a, b) => a.row - b.row);
+
+	let ids = [];
+	if (mode === 'atomic') {
+		if (errors.length) {
+			return createResponse({ mode, total: rows.length, inserted: 0, failed: errors.length, ids, errors }, 400);
+		}
+
+		// A single batch, so either every row is inserted or none is
+		ids = await insertBooksBatch(
+			env,
+			valid.map(({ book }) => book),
+			audit
+		);
+	} else {
+		for (let i = 0; i < valid.length; i += BULK_BATCH_SIZE) {
+			const chunk = valid.slice(i, i + BULK_BATCH_SIZE);
+			try {
+				ids.push(
+					...(await insertBooksBatch(
+						env,
+						chunk.map(({ book }) => book),
+						audit
+					))
+				);
+			} catch (batchError) {
+				// Retry the failed batch row by row to find the rows that can't be inserted
+				for (const { row, book } of chunk) {
+					try {
+						ids.push(...(await insertBooksBatch(env, [book], audit)));
+					} catch (rowError) {
+						errors.push({ row, error: rowError.message });
+					}
+				}
+			}
+		}
+		errors.sort((a, b) => a.row - b.row);
+	}
+
+	if (ids.length) {
+		ctx.waitUntil(
+			dispatchWebhooks(env, 'book.created', async () => {
+				const { results } = await executeQuery(
+					env.DB.prepare('SELECT * FROM books WHERE id IN (SELECT value FROM json_each(?)) ORDER BY id').bind(JSON.stringify(ids))
+				);
+				return withAuthors(env, results);
+			})
+		);
+	}
+
+	console.log('Books imported:', {
+		requestId,
+		mode,
+		inserted: ids.length,
+		failed: errors.length,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse({ mode, total: rows.length, inserted: ids.length, failed: errors.length, ids, errors }, errors.length ? 200 : 201);
+};
+
+// Export endpoint
+export const exportBooks = async ({ env, params }) => {
+	const format = params.get('format') || 'json';
+	if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+		throw new ValidationError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+	}
+
+	const filename = `books-${new Date().toISOString().slice(0, 10)}.${CITATION_STYLES[format]?.extension ?? format}`;
+
+	return new Response(createExportStream(env, params, format), {
+		headers: {
+			'Content-Type': EXPORT_FORMATS[format],
+			'Content-Disposition': `attachment; filename="${filename}"`,
+			'Cache-Control': 'no-store',
+		},
+	});
+};
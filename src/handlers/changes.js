@@ -0,0 +1,105 @@
+// Changes feed, as JSON pages or a server-sent events stream
+import { ValidationError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { executeQuery, safeParseInt } from '../query.js';
+import { withAuthors } from '../books.js';
+
+// Changes feed page sizes. The event stream checks for new changes every CHANGES_POLL_MS,
+// sends a heartbeat comment when it has been idle for CHANGES_HEARTBEAT_MS and ends after
+// CHANGES_STREAM_MAX_MS, when EventSource reconnects from the last event it received.
+const CHANGES_DEFAULT_LIMIT = 100;
+const CHANGES_MAX_LIMIT = 1000;
+const CHANGES_POLL_MS = 2000;
+const CHANGES_HEARTBEAT_MS = 15000;
+const CHANGES_STREAM_MAX_MS = 300000;
+
+// Changes after `since` in sequence order, each with the current state of its book (null for
+// deletes and for books deleted since). `checkpoint` is the `since` for the next page.
+const getChanges = async (env, since, limit) => {
+	const { results } = await executeQuery(
+		env.DB.prepare('SELECT seq, type, book_id, changed_at FROM book_changes WHERE seq > ? ORDER BY seq LIMIT ?').bind(since, limit + 1)
+	);
+	const changes = results.slice(0, limit);
+
+	const bookIds = [...new Set(changes.filter(({ type }) => type !== 'delete').map(({ book_id }) => book_id))];
+	const { results: found } = await executeQuery(
+		env.DB.prepare('SELECT * FROM books WHERE deleted_at IS NULL AND id IN (SELECT value FROM json_each(?))').bind(JSON.stringify(bookIds))
+	);
+	const books = new Map((await withAuthors(env, found)).map((book) => [book.id, book]));
+
+	return {
+		data: changes.map((change) => ({ ...change, book: change.type === 'delete' ? null : books.get(change.book_id) ?? null })),
+		checkpoint: changes.length ? changes.at(-1).seq : since,
+		has_more: results.length > limit,
+	};
+};
+
+// `since` for the changes feed. EventSource sends the id of the last event it received when it reconnects.
+const parseChangesSince = (request, params) => {
+	const since = request.headers.get('last-event-id') ?? params.get('since') ?? '0';
+	if (!/^\d+$/.test(since)) {
+		throw new ValidationError('since must be a sequence number of 0 or more');
+	}
+	return parseInt(since);
+};
+
+// Server-sent events for the changes feed, one event per change with its `seq` as the event id
+const createChangesStream = (env, since) => {
+	const encoder = new TextEncoder();
+	const deadline = Date.now() + CHANGES_STREAM_MAX_MS;
+	let checkpoint = since;
+	let lastSent = Date.now();
+	let cancelled = false;
+
+	return new ReadableStream({
+		start(controller) {
+			controller.enqueue(encoder.encode(`retry: ${CHANGES_POLL_MS}\n\n`));
+		},
+		// A pull only returns once it has sent something, otherwise the stream would stall
+		async pull(controller) {
+			while (!cancelled && Date.now() < deadline) {
+				const { data, checkpoint: next } = await getChanges(env, checkpoint, CHANGES_DEFAULT_LIMIT);
+
+				if (data.length) {
+					checkpoint = next;
+					lastSent = Date.now();
+					const events = data.map((change) => `id: ${change.seq}\nevent: ${change.type}\ndata: ${JSON.stringify(change)}\n\n`);
+					controller.enqueue(encoder.encode(events.join('')));
+					return;
+				}
+
+				if (Date.now() - lastSent >= CHANGES_HEARTBEAT_MS) {
+					lastSent = Date.now();
+					controller.enqueue(encoder.encode(': heartbeat\n\n'));
+					return;
+				}
+
+				await new Promise((resolve) => setTimeout(resolve, CHANGES_POLL_MS));
+			}
+
+			if (!cancelled) {
+				controller.close();
+			}
+		},
+		cancel() {
+			cancelled = true;
+		},
+	});
+};
+
+// Changes feed for incremental sync: JSON pages, or a live event stream for `Accept: text/event-stream`
+export const listChanges = async ({ request, env, params }) => {
+	const since = parseChangesSince(request, params);
+
+	if ((request.headers.get('accept') || '').includes('text/event-stream')) {
+		return new Response(createChangesStream(env, since), {
+			headers: {
+				'Content-Type': 'text/event-stream; charset=utf-8',
+				'Cache-Control': 'no-store',
+			},
+		});
+	}
+
+	const limit = Math.min(safeParseInt(params.get('limit'), CHANGES_DEFAULT_LIMIT), CHANGES_MAX_LIMIT);
+	return createResponse(await getChanges(env, since, limit), 200, { 'Cache-Control': 'no-store' });
+};
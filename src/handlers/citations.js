@@ -0,0 +1,35 @@
+// Book citations
+import { NotFoundError, ValidationError } from '../errors.js';
+import { isNotModified } from '../http.js';
+import { safeParseInt } from '../query.js';
+import { getBookEtag } from '../books.js';
+import { CITATION_STYLES, createCitationDocument } from '../citations.js';
+import { storeInCache } from '../cache.js';
+import { getFormatEtag } from '../formats.js';
+
+// Citation of a single book, as text to paste into a reference list or a record to import
+export const citeBook = async ({ request, env, ctx, params, match, cacheEntry }) => {
+	const style = params.get('style') || 'bibtex';
+	if (!Object.hasOwn(CITATION_STYLES, style)) {
+		throw new ValidationError(`Style must be one of: ${Object.keys(CITATION_STYLES).join(', ')}`);
+	}
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const book = await env.DB.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+
+	// Each style is a representation of the book with its own entity tag
+	const headers = {
+		'Content-Type': CITATION_STYLES[style].contentType,
+		ETag: getFormatEtag(getBookEtag(book), style),
+		'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+	};
+
+	if (isNotModified(request, headers.ETag)) {
+		return storeInCache(ctx, cacheEntry, new Response(null, { status: 304, headers }));
+	}
+
+	return storeInCache(ctx, cacheEntry, new Response(createCitationDocument(style, [book]), { headers }));
+};
@@ -0,0 +1,108 @@
+// Book covers
+import { NotFoundError, PayloadTooLargeError, ValidationError } from '../errors.js';
+import { createResponse, getMediaType } from '../http.js';
+import { requireRole } from '../auth.js';
+import { safeParseInt } from '../query.js';
+import { COVER_TYPES, deleteCovers, getCoverKey, MAX_COVER_BYTES, sniffImageType } from '../covers.js';
+
+// Book that owns the cover
+const loadBook = async (env, id) => {
+	const book = await env.DB.prepare('SELECT id, coverUrl FROM books WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+	return book;
+};
+
+// Book cover image, stored in R2
+export const getCover = async ({ request, env, url, params, match }) => {
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const book = await loadBook(env, id);
+
+	// R2 evaluates the cache validators itself and leaves out the body when the client's copy is current.
+	// It would do the same for a failed If-Match or If-Unmodified-Since, which must not turn into a 304,
+	// so only If-None-Match and If-Modified-Since are passed on.
+	const conditions = new Headers();
+	for (const name of ['If-None-Match', 'If-Modified-Since']) {
+		if (request.headers.has(name)) {
+			conditions.set(name, request.headers.get(name));
+		}
+	}
+	const object = book.coverUrl && (await env.COVERS.get(getCoverKey(id), { onlyIf: conditions }));
+	if (!object) {
+		throw new NotFoundError('Book has no cover');
+	}
+
+	const headers = new Headers();
+	object.writeHttpMetadata(headers);
+	headers.set('ETag', object.httpEtag);
+
+	// The versioned URL from `coverUrl` always serves the same image, any other URL is revalidated
+	const versioned = `${url.pathname}?v=${params.get('v')}` === book.coverUrl;
+	headers.set('Cache-Control', versioned ? 'public, max-age=31536000, immutable' : 'public, no-cache');
+
+	return new Response(object.body ?? null, { status: object.body ? 200 : 304, headers });
+};
+
+export const uploadCover = async ({ request, env, match, requestId, principal }) => {
+	requireRole(principal, 'editor');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const book = await loadBook(env, id);
+
+	const contentType = getMediaType(request);
+	const bytes = new Uint8Array(await request.arrayBuffer());
+
+	if (bytes.length === 0) {
+		throw new ValidationError(`Request body must be an image (${COVER_TYPES.join(', ')})`);
+	}
+	if (bytes.length > MAX_COVER_BYTES) {
+		throw new PayloadTooLargeError(`Cover too large (max ${MAX_COVER_BYTES / 1048576}MB)`);
+	}
+	if (sniffImageType(bytes) !== contentType) {
+		throw new ValidationError(`Request body is not a valid ${contentType} image`);
+	}
+
+	const object = await env.COVERS.put(getCoverKey(id), bytes, { httpMetadata: { contentType } });
+
+	// A new URL for every image, so responses for the old one can be cached forever
+	const coverUrl = `/api/books/${id}/cover?v=${object.etag.slice(0, 12)}`;
+	await env.DB.prepare('UPDATE books SET coverUrl = ?, version = version + 1 WHERE id = ?').bind(coverUrl, id).run();
+
+	console.log('Cover uploaded:', {
+		requestId,
+		bookId: id,
+		size: object.size,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	const created = !book.coverUrl;
+	return createResponse({ coverUrl, contentType, size: object.size }, created ? 201 : 200, {
+		ETag: object.httpEtag,
+		...(created && { Location: coverUrl }),
+	});
+};
+
+export const deleteCover = async ({ env, match, requestId, principal }) => {
+	requireRole(principal, 'editor');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const book = await loadBook(env, id);
+
+	if (!book.coverUrl) {
+		throw new NotFoundError('Book has no cover');
+	}
+
+	await env.DB.prepare('UPDATE books SET coverUrl = NULL, version = version + 1 WHERE id = ?').bind(id).run();
+	await deleteCovers(env, [book]);
+
+	console.log('Cover deleted:', {
+		requestId,
+		bookId: id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
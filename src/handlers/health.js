@@ -0,0 +1,11 @@
+// Health check
+import { createResponse } from '../http.js';
+
+// Health check endpoint
+export const getHealth = async ({ env }) => {
+	await env.DB.prepare('SELECT 1').first();
+	return createResponse({
+		status: 'healthy',
+		timestamp: new Date().toISOString(),
+	});
+};
@@ -0,0 +1,87 @@
+// Book revisions
+import { NotFoundError, ValidationError } from '../errors.js';
+import { checkIfMatch, createResponse } from '../http.js';
+import { requireRole } from '../auth.js';
+import { validateBook } from '../validation.js';
+import { executeQuery, safeParseInt } from '../query.js';
+import { formatRevision, getBookEtag, normalizeBookFields, writeBookFields } from '../books.js';
+import { dispatchWebhooks } from '../webhooks.js';
+
+// Change history of a book, including deleted and purged books
+export const listBookHistory = async ({ env, params, match, principal }) => {
+	// Revisions include actor IPs, so any API key is required
+	requireRole(principal, 'reader');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare('SELECT COUNT(*) as count FROM book_revisions WHERE book_id = ?').bind(id));
+
+	if (count === 0) {
+		throw new NotFoundError('No history found for this book');
+	}
+
+	const { results } = await executeQuery(
+		env.DB.prepare('SELECT * FROM book_revisions WHERE book_id = ? ORDER BY id DESC LIMIT ? OFFSET ?').bind(id, limit, (page - 1) * limit)
+	);
+
+	return createResponse({
+		data: results.map(formatRevision),
+		pagination: {
+			total: count,
+			page,
+			limit,
+			pages: Math.ceil(count / limit),
+		},
+	});
+};
+
+// Revert a book to the state recorded in one of its revisions
+export const revertBook = async ({ request, env, ctx, match, requestId, principal, audit }) => {
+	requireRole(principal, 'editor');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const body = await request.json();
+	if (!body || typeof body !== 'object' || Array.isArray(body)) {
+		throw new ValidationError('Request body must be a JSON object');
+	}
+
+	const { revision: revisionId } = body;
+	if (!Number.isInteger(revisionId) || revisionId < 1) {
+		throw new ValidationError('revision must be a revision ID');
+	}
+
+	const book = await env.DB.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+
+	checkIfMatch(request, getBookEtag(book));
+
+	const revision = await env.DB.prepare('SELECT * FROM book_revisions WHERE id = ? AND book_id = ?').bind(revisionId, id).first();
+	if (!revision) {
+		throw new NotFoundError('Revision not found');
+	}
+	if (!revision.after_data) {
+		throw new ValidationError('Revision has no book state to revert to');
+	}
+
+	const target = JSON.parse(revision.after_data);
+	validateBook(target, false);
+
+	const updated = await writeBookFields(env, book, normalizeBookFields(target), audit, 'revert');
+	ctx.waitUntil(dispatchWebhooks(env, 'book.updated', async () => [updated]));
+
+	console.log('Book reverted:', {
+		requestId,
+		bookId: id,
+		revisionId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(updated, 200, { ETag: getBookEtag(updated) });
+};
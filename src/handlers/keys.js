@@ -0,0 +1,71 @@
+// API key administration
+import { NotFoundError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { generateApiKey, hashApiKey, requireRole } from '../auth.js';
+import { validateApiKeyInput } from '../validation.js';
+import { executeQuery, safeParseInt } from '../query.js';
+
+// API key management (admin only)
+export const listApiKeys = async ({ env, principal }) => {
+	requireRole(principal, 'admin');
+
+	const { results } = await executeQuery(
+		env.DB.prepare('SELECT id, name, role, key_prefix, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id ASC')
+	);
+
+	return createResponse({ data: results });
+};
+
+export const createApiKey = async ({ request, env, requestId, principal }) => {
+	requireRole(principal, 'admin');
+
+	const input = await request.json();
+	validateApiKeyInput(input);
+
+	const key = generateApiKey();
+	const result = await env.DB.prepare('INSERT INTO api_keys (name, role, key_prefix, key_hash) VALUES (?, ?, ?, ?)')
+		.bind(input.name.trim(), input.role, key.slice(0, 11), await hashApiKey(key))
+		.run();
+
+	if (!result.success) {
+		throw new Error('Failed to create API key');
+	}
+
+	const created = await env.DB.prepare('SELECT id, name, role, key_prefix, created_at FROM api_keys WHERE id = ?')
+		.bind(result.meta.last_row_id)
+		.first();
+
+	console.log('API key created:', {
+		requestId,
+		keyId: created.id,
+		role: created.role,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	// The plaintext key is returned only once
+	return createResponse({ ...created, key }, 201);
+};
+
+export const revokeApiKey = async ({ env, match, requestId, principal }) => {
+	requireRole(principal, 'admin');
+
+	const keyId = safeParseInt(match.pathname.groups.id, 0);
+
+	const result = await env.DB.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL')
+		.bind(keyId)
+		.run();
+
+	if (result.meta.changes === 0) {
+		throw new NotFoundError('API key not found');
+	}
+
+	console.log('API key revoked:', {
+		requestId,
+		keyId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
@@ -0,0 +1,118 @@
+// Book reviews
+import { ConflictError, ForbiddenError, NotFoundError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { requireRole, ROLE_LEVELS } from '../auth.js';
+import { REVIEW_INPUT_SCHEMA, validateInput } from '../validation.js';
+import { executeQuery, safeParseInt } from '../query.js';
+import { storeInCache } from '../cache.js';
+
+// Review columns returned by the API
+const REVIEW_COLUMNS_SQL = 'id, book_id, reviewer, rating, text, created_at';
+
+// Reviews of a book: public to read, any API key can post one review per book
+export const listReviews = async ({ env, ctx, params, match, cacheEntry }) => {
+	const id = safeParseInt(match.pathname.groups.id, 0);
+
+	const book = await env.DB.prepare('SELECT id FROM books WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare('SELECT COUNT(*) as count FROM reviews WHERE book_id = ?').bind(id));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(`SELECT ${REVIEW_COLUMNS_SQL} FROM reviews WHERE book_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`).bind(
+			id,
+			limit,
+			(page - 1) * limit
+		)
+	);
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(
+			{
+				data: results,
+				pagination: {
+					total: count,
+					page,
+					limit,
+					pages: Math.ceil(count / limit),
+				},
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=60, stale-while-revalidate=120',
+			}
+		)
+	);
+};
+
+export const createReview = async ({ request, env, match, requestId, principal, audit }) => {
+	const id = safeParseInt(match.pathname.groups.id, 0);
+
+	const book = await env.DB.prepare('SELECT id FROM books WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+
+	requireRole(principal, 'reader');
+
+	const input = await request.json();
+	validateInput(input, REVIEW_INPUT_SCHEMA);
+
+	const existing = await env.DB.prepare('SELECT id FROM reviews WHERE book_id = ? AND reviewer = ?').bind(id, audit.actor).first();
+	if (existing) {
+		throw new ConflictError('You have already reviewed this book', { existingId: existing.id });
+	}
+
+	const result = await env.DB.prepare('INSERT INTO reviews (book_id, reviewer, rating, text) VALUES (?, ?, ?, ?)')
+		.bind(id, audit.actor, Number(input.rating), input.text || null)
+		.run();
+
+	const created = await env.DB.prepare(`SELECT ${REVIEW_COLUMNS_SQL} FROM reviews WHERE id = ?`).bind(result.meta.last_row_id).first();
+
+	console.log('Review created:', {
+		requestId,
+		bookId: id,
+		reviewId: created.id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(created, 201, { Location: `/api/books/${id}/reviews/${created.id}` });
+};
+
+// Delete a review: its reviewer can, and so can editors
+export const deleteReview = async ({ env, match, requestId, principal, audit }) => {
+	requireRole(principal, 'reader');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+	const reviewId = safeParseInt(match.pathname.groups.reviewId, 0);
+
+	const review = await env.DB.prepare('SELECT id, reviewer FROM reviews WHERE id = ? AND book_id = ?').bind(reviewId, id).first();
+	if (!review) {
+		throw new NotFoundError('Review not found');
+	}
+	if (review.reviewer !== audit.actor && ROLE_LEVELS[principal.role] < ROLE_LEVELS.editor) {
+		throw new ForbiddenError('Only the reviewer or an editor can delete a review');
+	}
+
+	await env.DB.prepare('DELETE FROM reviews WHERE id = ?').bind(reviewId).run();
+
+	console.log('Review deleted:', {
+		requestId,
+		bookId: id,
+		reviewId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
@@ -0,0 +1,279 @@
+// Shelves and the books on them
+import { ForbiddenError, NotFoundError, ValidationError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { requireRole } from '../auth.js';
+import { SHELF_ENTRY_SCHEMA, SHELF_INPUT_SCHEMA, validateInput } from '../validation.js';
+import { executeQuery, safeParseInt } from '../query.js';
+import { withAuthors } from '../books.js';
+
+// Most books a shelf can hold
+const MAX_SHELF_BOOKS = 1000;
+
+// Shelf columns returned by the API, with the number of books on the shelf. Books moved to the
+// trash are taken off every shelf by a trigger (see database_schema_16.sql), so all of them count.
+const SHELF_COLUMNS_SQL = `
+	shelves.id, shelves.name, shelves.description, shelves.visibility, shelves.owner, shelves.created_at, shelves.updated_at,
+	(SELECT COUNT(*) FROM shelf_books WHERE shelf_books.shelf_id = shelves.id) AS book_count
+`;
+
+// Shelves belong to the API key that created them, admins can manage every shelf
+const canManageShelf = (principal, actor, shelf) => Boolean(principal) && (shelf.owner === actor || principal.role === 'admin');
+
+// A shelf the caller can see. Other owners' private shelves are reported as missing, so their
+// existence isn't revealed; with `manage`, only the owner (or an admin) may go further.
+const loadShelf = async (env, id, principal, actor, { manage = false } = {}) => {
+	const shelf = await env.DB.prepare(`SELECT ${SHELF_COLUMNS_SQL} FROM shelves WHERE id = ?`).bind(id).first();
+	const owned = shelf && canManageShelf(principal, actor, shelf);
+
+	if (!shelf || (shelf.visibility === 'private' && !owned)) {
+		throw new NotFoundError('Shelf not found');
+	}
+	if (manage && !owned) {
+		requireRole(principal, 'reader');
+		throw new ForbiddenError('Only the owner of a shelf can change it');
+	}
+	return shelf;
+};
+
+// A shelf with its books in order, `position` counting from 0
+const withShelfBooks = async (env, shelf) => {
+	const { results } = await executeQuery(
+		env.DB.prepare(
+			`
+			SELECT shelf_books.note AS entry_note, shelf_books.added_at AS entry_added_at, books.*
+			FROM shelf_books
+			JOIN books ON books.id = shelf_books.book_id
+			WHERE shelf_books.shelf_id = ?
+			ORDER BY shelf_books.position ASC, shelf_books.book_id ASC
+		`
+		).bind(shelf.id)
+	);
+
+	const books = await withAuthors(
+		env,
+		results.map(({ entry_note, entry_added_at, ...book }) => book)
+	);
+
+	return {
+		...shelf,
+		books: books.map((book, position) => ({
+			position,
+			note: results[position].entry_note,
+			added_at: results[position].entry_added_at,
+			book,
+		})),
+	};
+};
+
+// Shelves collection endpoint: public shelves plus the caller's own
+export const listShelves = async ({ env, params, principal, audit }) => {
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+	const mine = params.get('owner') === 'me';
+
+	if (mine) {
+		requireRole(principal, 'reader');
+	}
+
+	const where = mine ? 'WHERE shelves.owner = ?' : "WHERE shelves.visibility = 'public' OR shelves.owner = ?";
+	const owner = principal ? audit.actor : null;
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare(`SELECT COUNT(*) as count FROM shelves ${where}`).bind(owner));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(`SELECT ${SHELF_COLUMNS_SQL} FROM shelves ${where} ORDER BY shelves.id ASC LIMIT ? OFFSET ?`).bind(
+			owner,
+			limit,
+			(page - 1) * limit
+		)
+	);
+
+	return createResponse({
+		data: results,
+		pagination: {
+			total: count,
+			page,
+			limit,
+			pages: Math.ceil(count / limit),
+		},
+	});
+};
+
+export const createShelf = async ({ request, env, requestId, principal, audit }) => {
+	requireRole(principal, 'reader');
+
+	const input = await request.json();
+	validateInput(input, SHELF_INPUT_SCHEMA);
+
+	const result = await env.DB.prepare('INSERT INTO shelves (owner, name, description, visibility) VALUES (?, ?, ?, ?)')
+		.bind(audit.actor, input.name.trim(), input.description ?? null, input.visibility ?? 'private')
+		.run();
+
+	const created = await env.DB.prepare(`SELECT ${SHELF_COLUMNS_SQL} FROM shelves WHERE id = ?`).bind(result.meta.last_row_id).first();
+
+	console.log('Shelf created:', {
+		requestId,
+		shelfId: created.id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse({ ...created, books: [] }, 201, { Location: `/api/shelves/${created.id}` });
+};
+
+// Single shelf endpoint
+export const getShelf = async ({ env, match, principal, audit }) => {
+	const shelfId = safeParseInt(match.pathname.groups.id, 0);
+
+	const shelf = await loadShelf(env, shelfId, principal, audit.actor);
+	return createResponse(await withShelfBooks(env, shelf));
+};
+
+export const updateShelf = async ({ request, env, match, principal, audit }) => {
+	const shelfId = safeParseInt(match.pathname.groups.id, 0);
+
+	await loadShelf(env, shelfId, principal, audit.actor, { manage: true });
+
+	const input = await request.json();
+	validateInput(input, SHELF_INPUT_SCHEMA);
+
+	await env.DB.prepare('UPDATE shelves SET name = ?, description = ?, visibility = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+		.bind(input.name.trim(), input.description ?? null, input.visibility ?? 'private', shelfId)
+		.run();
+
+	const updated = await loadShelf(env, shelfId, principal, audit.actor);
+	return createResponse(await withShelfBooks(env, updated));
+};
+
+export const deleteShelf = async ({ env, match, requestId, principal, audit }) => {
+	const shelfId = safeParseInt(match.pathname.groups.id, 0);
+
+	await loadShelf(env, shelfId, principal, audit.actor, { manage: true });
+	await env.DB.prepare('DELETE FROM shelves WHERE id = ?').bind(shelfId).run();
+
+	console.log('Shelf deleted:', {
+		requestId,
+		shelfId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
+
+// Reorder a shelf: `book_ids` lists every book on the shelf, in the new order
+export const reorderShelf = async ({ request, env, match, principal, audit }) => {
+	const shelf = await loadShelf(env, safeParseInt(match.pathname.groups.id, 0), principal, audit.actor, { manage: true });
+
+	const input = await request.json();
+	const bookIds = input?.book_ids;
+	if (!Array.isArray(bookIds) || !bookIds.every(Number.isInteger)) {
+		throw new ValidationError('book_ids must be an array of book IDs');
+	}
+
+	const {
+		results: [{ current }],
+	} = await executeQuery(env.DB.prepare('SELECT json_group_array(book_id) AS current FROM shelf_books WHERE shelf_id = ?').bind(shelf.id));
+
+	const currentIds = JSON.parse(current);
+	if (bookIds.length !== currentIds.length || new Set(bookIds).size !== bookIds.length || !bookIds.every((id) => currentIds.includes(id))) {
+		throw new ValidationError('book_ids must list every book on the shelf exactly once');
+	}
+
+	const order = JSON.stringify(bookIds);
+	await env.DB.batch([
+		env.DB.prepare(
+			`
+			UPDATE shelf_books
+			SET position = (SELECT key FROM json_each(?) WHERE value = shelf_books.book_id)
+			WHERE shelf_id = ? AND book_id IN (SELECT value FROM json_each(?))
+		`
+		).bind(order, shelf.id, order),
+		env.DB.prepare('UPDATE shelves SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(shelf.id),
+	]);
+
+	return createResponse(await withShelfBooks(env, await loadShelf(env, shelf.id, principal, audit.actor)));
+};
+
+// Add a book to a shelf (or update its note and position), or take it off
+export const addShelfBook = async ({ request, env, match, principal, audit }) => {
+	const bookId = safeParseInt(match.pathname.groups.bookId, 0);
+
+	const shelf = await loadShelf(env, safeParseInt(match.pathname.groups.id, 0), principal, audit.actor, { manage: true });
+
+	const text = await request.text();
+	const input = text ? JSON.parse(text) : {};
+	validateInput(input, SHELF_ENTRY_SCHEMA);
+
+	const book = await env.DB.prepare('SELECT id FROM books WHERE id = ? AND deleted_at IS NULL').bind(bookId).first();
+	if (!book) {
+		throw new NotFoundError('Book not found');
+	}
+
+	const existing = await env.DB.prepare('SELECT position, note, added_at FROM shelf_books WHERE shelf_id = ? AND book_id = ?')
+		.bind(shelf.id, bookId)
+		.first();
+
+	const {
+		results: [{ entries, last }],
+	} = await executeQuery(
+		env.DB.prepare('SELECT COUNT(*) AS entries, MAX(position) AS last FROM shelf_books WHERE shelf_id = ? AND book_id != ?').bind(
+			shelf.id,
+			bookId
+		)
+	);
+
+	if (!existing && entries >= MAX_SHELF_BOOKS) {
+		throw new ValidationError(`A shelf can hold at most ${MAX_SHELF_BOOKS} books`);
+	}
+
+	// Stored positions can have gaps, so `position` is mapped to the stored position of the book
+	// currently at that place; new books without one go to the end
+	let position = existing && input.position === undefined ? existing.position : (last ?? -1) + 1;
+	if (input.position !== undefined) {
+		const target = await env.DB.prepare(
+			`
+			SELECT position FROM shelf_books
+			WHERE shelf_id = ? AND book_id != ?
+			ORDER BY position ASC, book_id ASC
+			LIMIT 1 OFFSET ?
+		`
+		)
+			.bind(shelf.id, bookId, input.position)
+			.first();
+		if (target) {
+			position = target.position;
+		}
+	}
+
+	await env.DB.batch([
+		env.DB.prepare('DELETE FROM shelf_books WHERE shelf_id = ? AND book_id = ?').bind(shelf.id, bookId),
+		env.DB.prepare('UPDATE shelf_books SET position = position + 1 WHERE shelf_id = ? AND position >= ?').bind(shelf.id, position),
+		env.DB.prepare(
+			'INSERT INTO shelf_books (shelf_id, book_id, position, note, added_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))'
+		).bind(shelf.id, bookId, position, input.note !== undefined ? input.note : existing?.note ?? null, existing?.added_at ?? null),
+		env.DB.prepare('UPDATE shelves SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(shelf.id),
+	]);
+
+	const updated = await withShelfBooks(env, await loadShelf(env, shelf.id, principal, audit.actor));
+	return createResponse(updated, existing ? 200 : 201);
+};
+
+export const removeShelfBook = async ({ env, match, principal, audit }) => {
+	const bookId = safeParseInt(match.pathname.groups.bookId, 0);
+
+	const shelf = await loadShelf(env, safeParseInt(match.pathname.groups.id, 0), principal, audit.actor, { manage: true });
+
+	const [result] = await env.DB.batch([
+		env.DB.prepare('DELETE FROM shelf_books WHERE shelf_id = ? AND book_id = ?').bind(shelf.id, bookId),
+		env.DB.prepare('UPDATE shelves SET updated_at = CURRENT_TIMESTAMP WHERE id = ? AND changes() > 0').bind(shelf.id),
+	]);
+
+	if (result.meta.changes === 0) {
+		throw new NotFoundError('Book is not on this shelf');
+	}
+
+	return createResponse(null, 204);
+};
@@ -0,0 +1,212 @@
+// Collection statistics and the created/updated timeline
+import { ValidationError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { buildBookFilters, buildWhereClause, safeParseInt } from '../query.js';
+import { storeInCache } from '../cache.js';
+
+// Statistics: year buckets for the year distribution, the author leaderboard size and the timeline range
+const STATS_YEAR_PERIODS = { decade: 10, century: 100 };
+const DEFAULT_TOP_AUTHORS = 10;
+const MAX_TOP_AUTHORS = 100;
+const DEFAULT_TIMELINE_DAYS = 30;
+const MAX_TIMELINE_DAYS = 366;
+
+// Revisions that count as updates in the timeline
+const TIMELINE_UPDATE_ACTIONS_SQL = "('update', 'revert', 'delete', 'restore')";
+
+// `from` and `to` days (inclusive, UTC) of the stats timeline, the last DEFAULT_TIMELINE_DAYS by default
+const parseTimelineRange = (params) => {
+	const isDate = (value) =>
+		/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+	const day = 24 * 60 * 60 * 1000;
+
+	const to = params.get('to') || new Date().toISOString().slice(0, 10);
+	if (!isDate(to)) {
+		throw new ValidationError('to must be a date as YYYY-MM-DD');
+	}
+	const from = params.get('from') || new Date(Date.parse(to) - (DEFAULT_TIMELINE_DAYS - 1) * day).toISOString().slice(0, 10);
+	if (!isDate(from)) {
+		throw new ValidationError('from must be a date as YYYY-MM-DD');
+	}
+
+	const days = (Date.parse(to) - Date.parse(from)) / day + 1;
+	if (days < 1) {
+		throw new ValidationError('from must not be after to');
+	}
+	if (days > MAX_TIMELINE_DAYS) {
+		throw new ValidationError(`Timeline range too long (max ${MAX_TIMELINE_DAYS} days)`);
+	}
+
+	return { from, to, dates: Array.from({ length: days }, (_, i) => new Date(Date.parse(from) + i * day).toISOString().slice(0, 10)) };
+};
+
+// Books created and updated per day
+export const getStatsTimeline = async ({ env, ctx, params, cacheEntry }) => {
+	const filters = buildBookFilters(params);
+	const { from, to, dates } = parseTimelineRange(params);
+
+	// Books per day of a timestamp column, counting each book once a day
+	const countPerDay = (table, column, extra = []) =>
+		env.DB.prepare(
+			`SELECT date(${table}.${column}) as day, COUNT(DISTINCT books.id) as count FROM ${table}
+			${table === 'books' ? '' : `JOIN books ON books.id = ${table}.book_id`}
+			${buildWhereClause([`${table}.${column} >= ?`, `${table}.${column} < date(?, '+1 day')`, ...extra, ...filters.conditions])}
+			GROUP BY day`
+		)
+			.bind(from, to, ...filters.bindings)
+			.all()
+			.then((r) => new Map(r.results.map(({ day, count }) => [day, count])));
+
+	// `updated` comes from the book history, so every day a book was changed counts, not only its last update
+	const [created, updated] = await Promise.all([
+		countPerDay('books', 'created_at'),
+		countPerDay('book_revisions', 'created_at', [`book_revisions.action IN ${TIMELINE_UPDATE_ACTIONS_SQL}`]),
+	]);
+
+	const data = dates.map((date) => ({ date, created: created.get(date) ?? 0, updated: updated.get(date) ?? 0 }));
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(
+			{
+				from,
+				to,
+				totals: {
+					created: data.reduce((sum, day) => sum + day.created, 0),
+					updated: data.reduce((sum, day) => sum + day.updated, 0),
+				},
+				data,
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+			}
+		)
+	);
+};
+
+// Stats endpoint
+export const getStats = async ({ env, ctx, params, cacheEntry }) => {
+	const filters = buildBookFilters(params);
+
+	const period = params.get('period') || 'decade';
+	if (!Object.hasOwn(STATS_YEAR_PERIODS, period)) {
+		throw new ValidationError(`Period must be one of: ${Object.keys(STATS_YEAR_PERIODS).join(', ')}`);
+	}
+	const top = Math.min(safeParseInt(params.get('top'), DEFAULT_TOP_AUTHORS), MAX_TOP_AUTHORS);
+
+	const stats = await Promise.all([
+		env.DB.prepare(`SELECT COUNT(*) as total FROM books ${buildWhereClause(filters.conditions)}`)
+			.bind(...filters.bindings)
+			.first(),
+		env.DB.prepare(
+			`SELECT genre, COUNT(*) as count FROM books ${buildWhereClause([
+				'genre IS NOT NULL',
+				...filters.conditions,
+			])} GROUP BY genre ORDER BY count DESC`
+		)
+			.bind(...filters.bindings)
+			.all()
+			.then((r) => r.results),
+		env.DB.prepare(
+			`SELECT MIN(year) as earliest, MAX(year) as latest FROM books ${buildWhereClause(['year IS NOT NULL', ...filters.conditions])}`
+		)
+			.bind(...filters.bindings)
+			.first(),
+		env.DB.prepare(
+			`
+			SELECT authors.id, authors.name, COUNT(*) as count
+			FROM book_authors
+			JOIN authors ON authors.id = book_authors.author_id
+			JOIN books ON books.id = book_authors.book_id
+			${buildWhereClause(filters.conditions)}
+			GROUP BY authors.id
+			ORDER BY count DESC, authors.name ASC
+			LIMIT ?
+		`
+		)
+			.bind(...filters.bindings, top)
+			.all()
+			.then((r) => r.results),
+		env.DB.prepare(
+			`SELECT COUNT(DISTINCT book_authors.author_id) as total FROM book_authors JOIN books ON books.id = book_authors.book_id ${buildWhereClause(
+				filters.conditions
+			)}`
+		)
+			.bind(...filters.bindings)
+			.first(),
+		// Three best-rated books of each genre; ties go to the book with more reviews
+		env.DB.prepare(
+			`
+			SELECT genre, id, title, author, averageRating, reviewCount FROM (
+				SELECT books.*, ROW_NUMBER() OVER (PARTITION BY genre ORDER BY averageRating DESC, reviewCount DESC, id ASC) AS rank
+				FROM books
+				${buildWhereClause(['genre IS NOT NULL', 'reviewCount > 0', ...filters.conditions])}
+			)
+			WHERE rank <= 3
+			ORDER BY genre ASC, rank ASC
+		`
+		)
+			.bind(...filters.bindings)
+			.all()
+			.then((r) => r.results),
+		// Books per decade or century, by the first year of the period
+		env.DB.prepare(
+			`SELECT (year - (year % ?1 + ?1) % ?1) as start, COUNT(*) as count FROM books ${buildWhereClause([
+				'year IS NOT NULL',
+				...filters.conditions,
+			])} GROUP BY start ORDER BY start ASC`
+		)
+			.bind(STATS_YEAR_PERIODS[period], ...filters.bindings)
+			.all()
+			.then((r) => r.results),
+		// Share of books with each optional field filled in, from 0 to 1
+		env.DB.prepare(
+			`
+			SELECT
+				ROUND(AVG(IFNULL(isbn, '') != ''), 4) as isbn,
+				ROUND(AVG(IFNULL(description, '') != ''), 4) as description,
+				ROUND(AVG(IFNULL(genre, '') != ''), 4) as genre,
+				ROUND(AVG(year IS NOT NULL), 4) as year,
+				ROUND(AVG(NULLIF(LENGTH(description), 0)), 1) as averageDescriptionLength
+			FROM books
+			${buildWhereClause(filters.conditions)}
+		`
+		)
+			.bind(...filters.bindings)
+			.first(),
+	]);
+
+	const { averageDescriptionLength, ...fieldCompleteness } = stats[7];
+
+	const topRatedByGenre = {};
+	for (const { genre, ...book } of stats[5]) {
+		(topRatedByGenre[genre] ??= []).push(book);
+	}
+
+	return storeInCache(
+		ctx,
+		cacheEntry,
+		createResponse(
+			{
+				totalBooks: stats[0].total,
+				genreBreakdown: stats[1],
+				totalAuthors: stats[4].total,
+				topAuthors: stats[3],
+				topRatedByGenre,
+				yearRange: {
+					earliest: stats[2].earliest,
+					latest: stats[2].latest,
+				},
+				yearDistribution: { period, data: stats[6] },
+				fieldCompleteness,
+				averageDescriptionLength,
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=300, stale-while-revalidate=600',
+			}
+		)
+	);
+};
@@ -0,0 +1,109 @@
+// Deleted books: listing, restoring and purging
+import { NotFoundError, PreconditionFailedError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { requireRole } from '../auth.js';
+import { buildBookFilters, buildWhereClause, executeQuery, safeParseInt } from '../query.js';
+import { BOOK_AUTHORS_DISPLAY_SQL, buildRevisionStatement, checkDuplicateIsbn, getBookEtag, withAuthors } from '../books.js';
+import { deleteCovers } from '../covers.js';
+
+// Trash listing
+export const listTrash = async ({ env, params, principal }) => {
+	requireRole(principal, 'editor');
+
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 10), 100);
+	const filters = buildBookFilters(params, 'books', { trashed: true });
+	const where = buildWhereClause(filters.conditions);
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare(`SELECT COUNT(*) as count FROM books ${where}`).bind(...filters.bindings));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(`SELECT * FROM books ${where} ORDER BY deleted_at DESC, id DESC LIMIT ? OFFSET ?`).bind(
+			...filters.bindings,
+			limit,
+			(page - 1) * limit
+		)
+	);
+
+	return createResponse({
+		data: await withAuthors(env, results),
+		pagination: {
+			total: count,
+			page,
+			limit,
+			pages: Math.ceil(count / limit),
+		},
+	});
+};
+
+// Hard purge of a deleted book (admin only)
+export const purgeBook = async ({ env, match, requestId, principal, audit }) => {
+	requireRole(principal, 'admin');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+
+	const book = await env.DB.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL').bind(id).first();
+
+	if (!book) {
+		throw new NotFoundError('Book not found in trash');
+	}
+
+	await env.DB.batch([
+		env.DB.prepare('DELETE FROM books WHERE id = ? AND deleted_at IS NOT NULL').bind(id),
+		buildRevisionStatement(env, audit, 'purge', id, book),
+	]);
+	await deleteCovers(env, [book]);
+
+	console.log('Book purged:', {
+		requestId,
+		bookId: id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
+
+// Restore a deleted book
+export const restoreBook = async ({ request, env, match, requestId, principal, audit }) => {
+	requireRole(principal, 'editor');
+
+	const id = safeParseInt(match.pathname.groups.id, 0);
+
+	const book = await env.DB.prepare('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL').bind(id).first();
+
+	if (!book) {
+		throw new NotFoundError('Book not found in trash');
+	}
+
+	// A book added with the same ISBN while this one was in the trash blocks the restore
+	await checkDuplicateIsbn(env, book.isbn13, id);
+
+	// The author string is rebuilt, as authors renamed while the book was in the trash left it alone
+	const [result] = await env.DB.batch([
+		env.DB.prepare(
+			`UPDATE books SET deleted_at = NULL, author = ${BOOK_AUTHORS_DISPLAY_SQL}, version = version + 1 WHERE id = ? AND version = ?`
+		).bind(id, book.version),
+		buildRevisionStatement(env, audit, 'restore', id, book),
+	]);
+
+	if (result.meta.changes === 0) {
+		throw new PreconditionFailedError('Book was modified by another request, retry the restore');
+	}
+
+	const {
+		results: [restored],
+	} = await executeQuery(env.DB.prepare('SELECT * FROM books WHERE id = ?').bind(id));
+	const [restoredBook] = await withAuthors(env, [restored]);
+
+	console.log('Book restored:', {
+		requestId,
+		bookId: id,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(restoredBook, 200, { ETag: getBookEtag(restored) });
+};
@@ -0,0 +1,156 @@
+// Webhook subscriptions and their deliveries
+import { NotFoundError, ValidationError } from '../errors.js';
+import { createResponse } from '../http.js';
+import { requireRole } from '../auth.js';
+import { validateInput, WEBHOOK_INPUT_SCHEMA } from '../validation.js';
+import { buildWhereClause, executeQuery, safeParseInt } from '../query.js';
+import { generateWebhookSecret } from '../webhooks.js';
+
+// Delivery states, as stored in webhook_deliveries
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+// Webhook columns returned by the API; the secret is only returned when the webhook is created
+const WEBHOOK_COLUMNS_SQL = 'id, url, events, active, created_at';
+
+const formatWebhook = (webhook) => ({ ...webhook, events: JSON.parse(webhook.events), active: Boolean(webhook.active) });
+
+// Webhook subscriptions (admin only)
+export const listWebhooks = async ({ env, principal }) => {
+	requireRole(principal, 'admin');
+
+	const { results } = await executeQuery(env.DB.prepare(`SELECT ${WEBHOOK_COLUMNS_SQL} FROM webhooks ORDER BY id ASC`));
+
+	return createResponse({ data: results.map(formatWebhook) });
+};
+
+export const createWebhook = async ({ request, env, requestId, principal }) => {
+	requireRole(principal, 'admin');
+
+	const input = await request.json();
+	validateInput(input, WEBHOOK_INPUT_SCHEMA);
+
+	const secret = generateWebhookSecret();
+	const created = await env.DB.prepare(
+		`INSERT INTO webhooks (url, events, secret, active) VALUES (?, ?, ?, ?) RETURNING ${WEBHOOK_COLUMNS_SQL}`
+	)
+		.bind(input.url, JSON.stringify([...new Set(input.events)]), secret, input.active === false ? 0 : 1)
+		.first();
+
+	console.log('Webhook created:', {
+		requestId,
+		webhookId: created.id,
+		events: created.events,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	// The signing secret is returned only once
+	return createResponse({ ...formatWebhook(created), secret }, 201, { Location: `/api/webhooks/${created.id}` });
+};
+
+export const getWebhook = async ({ env, match, principal }) => {
+	requireRole(principal, 'admin');
+
+	const webhookId = safeParseInt(match.pathname.groups.id, 0);
+
+	const webhook = await env.DB.prepare(`SELECT ${WEBHOOK_COLUMNS_SQL} FROM webhooks WHERE id = ?`).bind(webhookId).first();
+	if (!webhook) {
+		throw new NotFoundError('Webhook not found');
+	}
+
+	return createResponse(formatWebhook(webhook));
+};
+
+// Replaces the URL and events; the secret stays the same
+export const updateWebhook = async ({ request, env, match, requestId, principal }) => {
+	requireRole(principal, 'admin');
+
+	const webhookId = safeParseInt(match.pathname.groups.id, 0);
+
+	const input = await request.json();
+	validateInput(input, WEBHOOK_INPUT_SCHEMA);
+
+	const updated = await env.DB.prepare(`UPDATE webhooks SET url = ?, events = ?, active = ? WHERE id = ? RETURNING ${WEBHOOK_COLUMNS_SQL}`)
+		.bind(input.url, JSON.stringify([...new Set(input.events)]), input.active === false ? 0 : 1, webhookId)
+		.first();
+	if (!updated) {
+		throw new NotFoundError('Webhook not found');
+	}
+
+	console.log('Webhook updated:', {
+		requestId,
+		webhookId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(formatWebhook(updated));
+};
+
+// Deleting a webhook also deletes its delivery log
+export const deleteWebhook = async ({ env, match, requestId, principal }) => {
+	requireRole(principal, 'admin');
+
+	const webhookId = safeParseInt(match.pathname.groups.id, 0);
+
+	const result = await env.DB.prepare('DELETE FROM webhooks WHERE id = ?').bind(webhookId).run();
+	if (result.meta.changes === 0) {
+		throw new NotFoundError('Webhook not found');
+	}
+
+	console.log('Webhook deleted:', {
+		requestId,
+		webhookId,
+		apiKeyId: principal.id,
+		timestamp: new Date().toISOString(),
+	});
+
+	return createResponse(null, 204);
+};
+
+// Delivery log of a webhook, newest first
+export const listWebhookDeliveries = async ({ env, params, match, principal }) => {
+	requireRole(principal, 'admin');
+
+	const webhookId = safeParseInt(match.pathname.groups.id, 0);
+
+	const webhook = await env.DB.prepare('SELECT id FROM webhooks WHERE id = ?').bind(webhookId).first();
+	if (!webhook) {
+		throw new NotFoundError('Webhook not found');
+	}
+
+	const conditions = ['webhook_id = ?'];
+	const bindings = [webhookId];
+	const status = params.get('status');
+	if (status) {
+		if (!WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+			throw new ValidationError(`Status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`);
+		}
+		conditions.push('status = ?');
+		bindings.push(status);
+	}
+
+	const page = safeParseInt(params.get('page'), 1);
+	const limit = Math.min(safeParseInt(params.get('limit'), 20), 100);
+	const whereClause = buildWhereClause(conditions);
+
+	const {
+		results: [{ count }],
+	} = await executeQuery(env.DB.prepare(`SELECT COUNT(*) as count FROM webhook_deliveries ${whereClause}`).bind(...bindings));
+
+	const { results } = await executeQuery(
+		env.DB.prepare(
+			`SELECT id, event, status, attempts, response_status, error, created_at, last_attempt_at, delivered_at FROM webhook_deliveries ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`
+		).bind(...bindings, limit, (page - 1) * limit)
+	);
+
+	return createResponse({
+		data: results,
+		pagination: {
+			total: count,
+			page,
+			limit,
+			pages: Math.ceil(count / limit),
+		},
+	});
+};
@@ -0,0 +1,123 @@
+// Response helpers, content types and conditional requests
+import { PreconditionFailedError, ValidationError } from './errors.js';
+
+// Content Security Policy of everything but pages: API responses never load anything or get framed
+export const API_CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+// Pages only run the inline style and script carrying the response's nonce, and only call this origin
+const getPageContentSecurityPolicy = (nonce) =>
+	[
+		"default-src 'none'",
+		`style-src 'nonce-${nonce}'`,
+		`script-src 'nonce-${nonce}'`,
+		"connect-src 'self'",
+		"img-src 'self'",
+		"base-uri 'none'",
+		"form-action 'none'",
+		"frame-ancestors 'none'",
+	].join('; ');
+
+// Titles of the problem details this API returns, by status
+const PROBLEM_TITLES = {
+	400: 'Bad Request',
+	401: 'Unauthorized',
+	403: 'Forbidden',
+	404: 'Not Found',
+	405: 'Method Not Allowed',
+	406: 'Not Acceptable',
+	409: 'Conflict',
+	412: 'Precondition Failed',
+	413: 'Content Too Large',
+	429: 'Too Many Requests',
+	500: 'Internal Server Error',
+	504: 'Gateway Timeout',
+};
+
+// Response helper
+export const createResponse = (body, status = 200, headers = {}) => {
+	return new Response(body !== null ? JSON.stringify(body, null, 2) : null, {
+		status,
+		headers: {
+			'Content-Type': 'application/json',
+			...headers,
+		},
+	});
+};
+
+// RFC 9457 problem details response. The status title says what kind of problem it is,
+// `detail` explains this occurrence and extension members (`requestId`, `errors`, ...) add context.
+export const createProblemResponse = (status, detail, extensions = {}, headers = {}) =>
+	createResponse({ type: 'about:blank', title: PROBLEM_TITLES[status], status, detail, ...extensions }, status, {
+		'Content-Type': 'application/problem+json',
+		...headers,
+	});
+
+// Nonce for the inline style and script of one page response
+export const generateNonce = () => btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+
+export const escapeHtml = (text) =>
+	String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+// XML 1.0 can't carry most control characters, even escaped
+export const escapeXml = (value) => escapeHtml(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// HTML response helper. Every page gets its own nonce, so pages aren't cached.
+export const createHtmlResponse = (html, nonce, status = 200) => {
+	return new Response(html, {
+		status,
+		headers: {
+			'Content-Type': 'text/html; charset=utf-8',
+			'Content-Security-Policy': getPageContentSecurityPolicy(nonce),
+			'Cache-Control': 'no-store',
+		},
+	});
+};
+
+// Media type of the request body, without parameters such as charset
+export const getMediaType = (request) => (request.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+// Content-Type validation
+export const validateContentType = (request, allowedTypes = ['application/json']) => {
+	// Requests without a body (e.g. POST /api/books/:id/restore) have nothing to check
+	const contentLength = request.headers.get('content-length');
+	const hasBody = contentLength ? contentLength !== '0' : request.headers.has('content-type');
+
+	if (['POST', 'PUT', 'PATCH'].includes(request.method) && hasBody) {
+		if (!allowedTypes.includes(getMediaType(request))) {
+			throw new ValidationError(`Content-Type must be ${allowedTypes.join(' or ')}`);
+		}
+	}
+};
+
+// Split an If-Match / If-None-Match header into its entity tags
+const parseEtagList = (header) =>
+	header
+		.split(',')
+		.map((tag) => tag.trim())
+		.filter(Boolean);
+
+// If-None-Match uses weak comparison, so W/ prefixes are ignored
+export const isNotModified = (request, etag) => {
+	const header = request.headers.get('if-none-match');
+	if (!header) {
+		return false;
+	}
+	return parseEtagList(header).some((tag) => tag === '*' || tag.replace(/^W\//, '') === etag);
+};
+
+// If-Match uses strong comparison; a stale tag means the client would overwrite someone else's change
+export const checkIfMatch = (request, etag) => {
+	const header = request.headers.get('if-match');
+	if (!header) {
+		return;
+	}
+	if (!parseEtagList(header).some((tag) => tag === '*' || tag === etag)) {
+		throw new PreconditionFailedError('Book has been modified since it was fetched, get the latest version and retry');
+	}
+};
+
+// `Prefer: return=minimal` asks for an empty response body on writes
+export const prefersMinimal = (request) => /(^|[,;\s])return=minimal($|[,;\s])/.test(request.headers.get('prefer') || '');
+
+// `Prefer: handling=strict` rejects book fields the schema doesn't know instead of ignoring them
+export const prefersStrict = (request) => /(^|[,;\s])handling=strict($|[,;\s])/.test(request.headers.get('prefer') || '');
@@ -0,0 +1,343 @@
+// Request pipeline: logging, security headers, CORS, error mapping, body limits, rate limiting,
+// content types, authentication, content negotiation and the edge cache
+import {
+	ConflictError,
+	ForbiddenError,
+	MethodNotAllowedError,
+	NotAcceptableError,
+	NotFoundError,
+	PayloadTooLargeError,
+	PreconditionFailedError,
+	RateLimitError,
+	UnauthorizedError,
+	ValidationError,
+} from './errors.js';
+import { API_CONTENT_SECURITY_POLICY, createProblemResponse, createResponse, validateContentType } from './http.js';
+import { authenticate, getActor } from './auth.js';
+import { safeParseInt } from './query.js';
+import { checkRateLimit, getRateLimitHeaders, getRateLimitTier } from './ratelimit.js';
+import { PATCH_TYPES } from './books.js';
+import { getCacheEntry, matchCache } from './cache.js';
+import { negotiateFormat } from './formats.js';
+
+// Request body limit, routes can set their own
+const MAX_BODY_BYTES = 1048576;
+
+// CORS policy used for settings the CORS_* variables leave out
+const DEFAULT_CORS_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const DEFAULT_CORS_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'Prefer', 'Last-Event-ID'];
+const DEFAULT_CORS_MAX_AGE = 7200;
+
+// Response headers browsers let cross-origin callers read
+const CORS_EXPOSED_HEADERS =
+	'ETag, Location, Preference-Applied, X-Cache-Status, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After';
+
+// Sent with every response
+const SECURITY_HEADERS = {
+	'X-Content-Type-Options': 'nosniff',
+	'Referrer-Policy': 'no-referrer',
+};
+
+// Request ID, and start and completion logs
+export const logRequest = async (context, next) => {
+	const { request } = context;
+	const requestId = crypto.randomUUID();
+	const startTime = Date.now();
+	context.requestId = requestId;
+
+	console.log('Request started:', {
+		requestId,
+		method: request.method,
+		url: request.url,
+		ip: request.headers.get('cf-connecting-ip'),
+		timestamp: new Date().toISOString(),
+	});
+
+	try {
+		return await next();
+	} finally {
+		const duration = Date.now() - startTime;
+		console.log('Request completed:', {
+			requestId,
+			duration,
+			timestamp: new Date().toISOString(),
+		});
+	}
+};
+
+// Copy of a response whose headers can be changed
+const withHeaders = (response, headers) => {
+	const copy = new Response(response.body, response);
+	for (const [name, value] of Object.entries(headers)) {
+		copy.headers.set(name, value);
+	}
+	return copy;
+};
+
+// Security headers, and the API's Content Security Policy unless the response brings its own (pages do)
+export const setSecurityHeaders = async (context, next) => {
+	const response = await next();
+	return withHeaders(response, {
+		...SECURITY_HEADERS,
+		'Content-Security-Policy': response.headers.get('Content-Security-Policy') ?? API_CONTENT_SECURITY_POLICY,
+	});
+};
+
+// CORS policy from the CORS_* variables, comma-separated lists. Credentials are never allowed
+// together with the "*" origin, which browsers reject.
+const getCorsPolicy = (env) => {
+	const list = (value, fallback) =>
+		value
+			? value
+					.split(',')
+					.map((item) => item.trim())
+					.filter(Boolean)
+			: fallback;
+
+	const origins = list(env.CORS_ALLOWED_ORIGINS, ['*']);
+	return {
+		anyOrigin: origins.includes('*'),
+		origins,
+		methods: list(env.CORS_ALLOWED_METHODS, DEFAULT_CORS_METHODS).map((method) => method.toUpperCase()),
+		headers: list(env.CORS_ALLOWED_HEADERS, DEFAULT_CORS_HEADERS),
+		credentials: env.CORS_ALLOW_CREDENTIALS === 'true' && !origins.includes('*'),
+		maxAge: safeParseInt(env.CORS_MAX_AGE, DEFAULT_CORS_MAX_AGE),
+	};
+};
+
+// CORS headers for the request's origin. With a list of origins the allowed one is echoed back and
+// responses vary by Origin, other origins get no CORS headers and the browser blocks the response.
+export const applyCors = async (context, next) => {
+	const { request, env } = context;
+	const cors = getCorsPolicy(env);
+	context.cors = cors;
+
+	const response = await next();
+	const origin = request.headers.get('origin');
+
+	if (cors.anyOrigin) {
+		return withHeaders(response, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS });
+	}
+
+	const vary = response.headers.get('Vary');
+	const headers = { Vary: vary ? `${vary}, Origin` : 'Origin' };
+	if (origin && cors.origins.includes(origin)) {
+		headers['Access-Control-Allow-Origin'] = origin;
+		headers['Access-Control-Expose-Headers'] = CORS_EXPOSED_HEADERS;
+		if (cors.credentials) {
+			headers['Access-Control-Allow-Credentials'] = 'true';
+		}
+	}
+	return withHeaders(response, headers);
+};
+
+// CORS preflight: the origin, method and headers the browser asks for must all be allowed.
+// Other OPTIONS requests get an empty 204.
+export const handlePreflight = (context, next) => {
+	const { request, cors } = context;
+	if (request.method !== 'OPTIONS') {
+		return next();
+	}
+
+	const origin = request.headers.get('origin');
+	const method = request.headers.get('access-control-request-method');
+	if (!origin || !method) {
+		return createResponse(null, 204);
+	}
+
+	if (!cors.anyOrigin && !cors.origins.includes(origin)) {
+		throw new ForbiddenError(`Origin ${origin} is not allowed`);
+	}
+	if (!cors.methods.includes(method.toUpperCase())) {
+		throw new ForbiddenError(`Method ${method} is not allowed`);
+	}
+
+	const allowedHeaders = cors.headers.map((name) => name.toLowerCase());
+	const deniedHeaders = (request.headers.get('access-control-request-headers') || '')
+		.split(',')
+		.map((name) => name.trim().toLowerCase())
+		.filter((name) => name && !allowedHeaders.includes(name));
+	if (deniedHeaders.length) {
+		throw new ForbiddenError(`Request headers not allowed: ${deniedHeaders.join(', ')}`);
+	}
+
+	return createResponse(null, 204, {
+		'Access-Control-Allow-Methods': cors.methods.join(', '),
+		'Access-Control-Allow-Headers': cors.headers.join(', '),
+		'Access-Control-Max-Age': String(cors.maxAge),
+		Vary: 'Access-Control-Request-Method, Access-Control-Request-Headers',
+	});
+};
+
+// Errors thrown further down the chain, as problem details. `context.responseHeaders` are headers
+// that middleware wants on every response, errors included.
+export const mapErrors = async (context, next) => {
+	const { request, url, requestId } = context;
+
+	try {
+		return await next();
+	} catch (error) {
+		// Structured error logging
+		console.error('Request error:', {
+			requestId,
+			message: error.message,
+			stack: error.stack,
+			method: request.method,
+			url: request.url,
+			timestamp: new Date().toISOString(),
+		});
+
+		let status = 500;
+		let message = 'An unexpected error occurred';
+		const extensions = {};
+		const headers = { ...context.responseHeaders };
+
+		if (error instanceof ValidationError) {
+			status = error.status;
+			message = error.message;
+			if (error.errors.length) {
+				extensions.errors = error.errors;
+			}
+		} else if (error instanceof UnauthorizedError) {
+			status = error.status;
+			message = error.message;
+			headers['WWW-Authenticate'] = 'Bearer realm="books-serverless-api"';
+		} else if (error instanceof ForbiddenError) {
+			status = error.status;
+			message = error.message;
+		} else if (error instanceof NotFoundError) {
+			status = error.status;
+			message = error.message;
+		} else if (error instanceof MethodNotAllowedError) {
+			status = error.status;
+			message = error.message;
+			headers.Allow = error.allow.join(', ');
+		} else if (error instanceof NotAcceptableError) {
+			status = error.status;
+			message = error.message;
+			extensions.available = error.available;
+		} else if (error instanceof ConflictError) {
+			status = error.status;
+			message = error.message;
+			Object.assign(extensions, error.details);
+		} else if (error.message.includes('UNIQUE constraint failed: books.isbn13')) {
+			// Another request took the ISBN between our duplicate check and the write
+			status = 409;
+			message = 'A book with this ISBN already exists';
+		} else if (error.message.includes('UNIQUE constraint failed: reviews.book_id, reviews.reviewer')) {
+			// A second review from the same reviewer raced past the existence check
+			status = 409;
+			message = 'You have already reviewed this book';
+		} else if (error instanceof PayloadTooLargeError) {
+			status = error.status;
+			message = error.message;
+		} else if (error instanceof PreconditionFailedError) {
+			status = error.status;
+			message = error.message;
+		} else if (error instanceof RateLimitError) {
+			status = error.status;
+			message = error.message;
+			if (error.retryAfter !== null) {
+				headers['Retry-After'] = String(error.retryAfter);
+			}
+		} else if (error.message.includes('timeout')) {
+			status = 504;
+			message = 'Request timeout';
+		} else if (error.message.includes('JSON')) {
+			status = 400;
+			message = 'Invalid JSON in request body';
+		}
+
+		return createProblemResponse(status, message, { instance: url.pathname, requestId, ...extensions }, headers);
+	}
+};
+
+// Check request size, routes can set their own limit
+export const limitBodySize = (context, next) => {
+	const { request, route } = context;
+	const maxBodyBytes = route?.maxBodyBytes ?? MAX_BODY_BYTES;
+	const contentLength = request.headers.get('content-length');
+	if (contentLength && parseInt(contentLength) > maxBodyBytes) {
+		throw new PayloadTooLargeError(`Request body too large (max ${maxBodyBytes / 1048576}MB)`);
+	}
+	return next();
+};
+
+// Rate limiting per API key, or per IP for anonymous requests, with separate read and write budgets.
+// The RateLimit headers go on every API response, error responses get them from mapErrors.
+// Pages are served without rate limits.
+export const limitRate = async (context, next) => {
+	const { request, env, audit } = context;
+	const result = await checkRateLimit(env, getRateLimitTier(request), audit.actor);
+	if (!result) {
+		return next();
+	}
+
+	context.responseHeaders = getRateLimitHeaders(result);
+	if (!result.success) {
+		throw new RateLimitError('Rate limit exceeded. Please try again later.', result.reset ?? result.period);
+	}
+	return withHeaders(await next(), context.responseHeaders);
+};
+
+// Validate content type for POST/PUT/PATCH: the route's own types, a patch format for PATCH, JSON otherwise
+export const checkContentType = (context, next) => {
+	const { request, route } = context;
+	validateContentType(request, route?.contentTypes ?? (request.method === 'PATCH' ? PATCH_TYPES : undefined));
+	return next();
+};
+
+// Requests with an API key, valid or not, count against their IP before the key is looked up. Their
+// RateLimit headers are replaced by the key's own once it is known, so only rejected keys report this tier.
+export const limitAuthAttempts = async (context, next) => {
+	const { request, env } = context;
+	if (!request.headers.has('authorization') && !request.headers.has('x-api-key')) {
+		return next();
+	}
+
+	const result = await checkRateLimit(env, 'auth', getActor(null, request));
+	if (!result) {
+		return next();
+	}
+
+	context.responseHeaders = getRateLimitHeaders(result);
+	if (!result.success) {
+		throw new RateLimitError('Too many requests with an API key from this address. Please try again later.', result.reset ?? result.period);
+	}
+	return next();
+};
+
+// Resolve the API key, if any (GET routes stay open to anonymous callers)
+export const authenticateRequest = async (context, next) => {
+	const { request, env, ctx, requestId } = context;
+	context.principal = await authenticate(env, request, ctx);
+	context.audit = { requestId, actor: getActor(context.principal, request) };
+	return next();
+};
+
+// Representation for GET requests to routes with `formats`, from `?format=` or the Accept header.
+// Their responses vary by Accept, cached ones included.
+export const negotiateContent = async (context, next) => {
+	const { request, params, route } = context;
+	if (request.method !== 'GET' || !route?.formats) {
+		return next();
+	}
+
+	context.format = negotiateFormat(request, params, route.formats);
+	const response = await next();
+	const vary = response.headers.get('Vary');
+	return withHeaders(response, { Vary: vary ? `${vary}, Accept` : 'Accept' });
+};
+
+// Public reads are answered from the edge cache while they still match the data
+export const serveFromCache = async (context, next) => {
+	const { request, env, url, route, match, format } = context;
+	context.cacheEntry = await getCacheEntry(env, request, url, route, match, format);
+	if (context.cacheEntry) {
+		const cached = await matchCache(request, context.cacheEntry);
+		if (cached) {
+			return cached;
+		}
+	}
+	return next();
+};
@@ -0,0 +1,319 @@
+// Collection queries: sorting, filters, cursors and full-text search
+import { ValidationError } from './errors.js';
+
+// Sortable columns for the books collection. `sql` must never be NULL so keyset comparisons stay total,
+// and `value` reads the same value from a result row for building cursors.
+export const SORT_COLUMNS = {
+	id: { sql: 'id', value: (book) => book.id },
+	title: { sql: 'title', value: (book) => book.title },
+	author: { sql: 'author', value: (book) => book.author },
+	year: { sql: 'IFNULL(year, -1)', value: (book) => book.year ?? -1 },
+	genre: { sql: "IFNULL(genre, '')", value: (book) => book.genre ?? '' },
+	rating: { sql: 'IFNULL(averageRating, -1)', value: (book) => book.averageRating ?? -1 },
+};
+
+// Default sort order; `id` is always the last key so every sort order is unique
+const DEFAULT_BOOK_SORT = [{ field: 'id', direction: 'ASC' }];
+
+// Full-text search columns in `books_fts` order, with their default bm25 weights
+export const SEARCH_FIELDS = ['title', 'author', 'description', 'genre'];
+const DEFAULT_SEARCH_WEIGHTS = { title: 10, author: 5, description: 1, genre: 2 };
+
+// Safe number parsing helper
+export const safeParseInt = (value, defaultValue) => {
+	const parsed = parseInt(value);
+	return !isNaN(parsed) && parsed > 0 ? parsed : defaultValue;
+};
+
+// Parse `?sort=-year,title` into sort keys, `-` means descending
+export const parseSort = (value) => {
+	if (!value) {
+		return DEFAULT_BOOK_SORT;
+	}
+
+	const sort = [];
+	for (const part of value.split(',')) {
+		const key = part.trim();
+		const field = key.replace(/^-/, '');
+
+		if (!Object.hasOwn(SORT_COLUMNS, field)) {
+			throw new ValidationError(`Invalid sort field: ${field}. Allowed: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+		}
+		if (sort.some((existing) => existing.field === field)) {
+			throw new ValidationError(`Duplicate sort field: ${field}`);
+		}
+		sort.push({ field, direction: key.startsWith('-') ? 'DESC' : 'ASC' });
+	}
+
+	// Always end on the unique id so that keyset pagination is deterministic
+	if (!sort.some(({ field }) => field === 'id')) {
+		sort.push({ field: 'id', direction: 'ASC' });
+	}
+
+	return sort;
+};
+
+// Boolean query parameter helper, returns null when the parameter is absent
+const parseBooleanParam = (params, name) => {
+	const value = params.get(name);
+	if (value === null || value === '') {
+		return null;
+	}
+	if (!['true', 'false'].includes(value)) {
+		throw new ValidationError(`${name} must be true or false`);
+	}
+	return value === 'true';
+};
+
+// Year query parameter helper, returns null when the parameter is absent
+const parseYearParam = (params, name) => {
+	const value = params.get(name);
+	if (value === null || value === '') {
+		return null;
+	}
+	if (!/^\d{1,4}$/.test(value)) {
+		throw new ValidationError(`${name} must be a year between 0 and 9999`);
+	}
+	return parseInt(value);
+};
+
+// Escape LIKE wildcards so user input is matched literally (used with ESCAPE '\')
+export const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Collection filters shared by list, search and stats.
+// Returns SQL conditions on the given table (alias) and their bindings.
+// Deleted books are left out unless `trashed` asks for only the deleted ones.
+export const buildBookFilters = (params, table = 'books', { trashed = false } = {}) => {
+	const conditions = [`${table}.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`];
+	const bindings = [];
+
+	const genres = (params.get('genre') || '')
+		.split(',')
+		.map((genre) => genre.trim())
+		.filter(Boolean);
+	if (genres.some((genre) => genre.length > 100)) {
+		throw new ValidationError('Genre parameter too long');
+	}
+	if (genres.length > 20) {
+		throw new ValidationError('Too many genres (max 20)');
+	}
+	if (genres.length) {
+		conditions.push(`${table}.genre IN (${genres.map(() => '?').join(', ')})`);
+		bindings.push(...genres);
+	}
+
+	const year = safeParseInt(params.get('year'), null);
+	if (year) {
+		conditions.push(`${table}.year = ?`);
+		bindings.push(year);
+	}
+
+	const yearFrom = parseYearParam(params, 'year_gte');
+	const yearTo = parseYearParam(params, 'year_lte');
+	if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+		throw new ValidationError('year_gte must be less than or equal to year_lte');
+	}
+	if (yearFrom !== null) {
+		conditions.push(`${table}.year >= ?`);
+		bindings.push(yearFrom);
+	}
+	if (yearTo !== null) {
+		conditions.push(`${table}.year <= ?`);
+		bindings.push(yearTo);
+	}
+
+	const author = params.get('author');
+	if (author) {
+		if (author.length > 200) {
+			throw new ValidationError('Author parameter too long');
+		}
+		conditions.push(`${table}.author LIKE ? ESCAPE '\\'`);
+		bindings.push(`%${escapeLike(author)}%`);
+	}
+
+	const authorIds = (params.get('author_id') || '')
+		.split(',')
+		.map((authorId) => authorId.trim())
+		.filter(Boolean);
+	if (authorIds.some((authorId) => !/^\d{1,10}$/.test(authorId))) {
+		throw new ValidationError('author_id must be a comma-separated list of author IDs');
+	}
+	if (authorIds.length > 20) {
+		throw new ValidationError('Too many author IDs (max 20)');
+	}
+	if (authorIds.length) {
+		conditions.push(`${table}.id IN (SELECT book_id FROM book_authors WHERE author_id IN (${authorIds.map(() => '?').join(', ')}))`);
+		bindings.push(...authorIds.map(Number));
+	}
+
+	const minRating = params.get('min_rating');
+	if (minRating !== null && minRating !== '') {
+		if (!/^[1-5](\.\d{1,2})?$/.test(minRating) || parseFloat(minRating) > 5) {
+			throw new ValidationError('min_rating must be a number between 1 and 5');
+		}
+		conditions.push(`${table}.averageRating >= ?`);
+		bindings.push(parseFloat(minRating));
+	}
+
+	const hasIsbn = parseBooleanParam(params, 'has_isbn');
+	if (hasIsbn !== null) {
+		conditions.push(`${hasIsbn ? '' : 'NOT '}(${table}.isbn IS NOT NULL AND ${table}.isbn != '')`);
+	}
+
+	const hasDescription = parseBooleanParam(params, 'has_description');
+	if (hasDescription !== null) {
+		conditions.push(`${hasDescription ? '' : 'NOT '}(${table}.description IS NOT NULL AND ${table}.description != '')`);
+	}
+
+	return { conditions, bindings };
+};
+
+// WHERE clause helper
+export const buildWhereClause = (conditions) => (conditions.length ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// Base64url helpers for opaque cursors (UTF-8 safe)
+const base64UrlEncode = (text) =>
+	btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+
+const base64UrlDecode = (value) => {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+// Short form of a sort order, e.g. "-year,id", used to tie cursors to the order they were created for
+const getSortSignature = (sort) => sort.map(({ field, direction }) => `${direction === 'DESC' ? '-' : ''}${field}`).join(',');
+
+// Cursors encode the sort key values of a boundary row and the direction to read in
+export const encodeCursor = (book, sort, direction) =>
+	base64UrlEncode(
+		JSON.stringify({
+			s: getSortSignature(sort),
+			v: sort.map(({ field }) => SORT_COLUMNS[field].value(book)),
+			d: direction,
+		})
+	);
+
+export const decodeCursor = (value, sort) => {
+	let cursor;
+	try {
+		cursor = JSON.parse(base64UrlDecode(value));
+	} catch {
+		throw new ValidationError('Invalid cursor');
+	}
+
+	// The values are bound into the keyset condition, so only what D1 can bind gets through
+	if (
+		!cursor ||
+		!Array.isArray(cursor.v) ||
+		cursor.v.length !== sort.length ||
+		!cursor.v.every((item) => item === null || ['string', 'number'].includes(typeof item)) ||
+		!['next', 'prev'].includes(cursor.d)
+	) {
+		throw new ValidationError('Invalid cursor');
+	}
+	if (cursor.s !== getSortSignature(sort)) {
+		throw new ValidationError('Cursor does not match the requested sort order');
+	}
+
+	return { values: cursor.v, direction: cursor.d };
+};
+
+// Keyset condition selecting the rows after (or before) a cursor:
+// (a > ?) OR (a = ? AND b > ?) OR ..., with the comparison flipped for descending keys
+export const buildKeysetCondition = (sort, cursor) => {
+	const clauses = [];
+	const bindings = [];
+
+	sort.forEach(({ field, direction }, index) => {
+		const parts = [];
+		for (const previous of sort.slice(0, index)) {
+			parts.push(`${SORT_COLUMNS[previous.field].sql} = ?`);
+		}
+		bindings.push(...cursor.values.slice(0, index));
+
+		const forward = (direction === 'ASC') === (cursor.direction === 'next');
+		parts.push(`${SORT_COLUMNS[field].sql} ${forward ? '>' : '<'} ?`);
+		bindings.push(cursor.values[index]);
+
+		clauses.push(`(${parts.join(' AND ')})`);
+	});
+
+	return { sql: `(${clauses.join(' OR ')})`, bindings };
+};
+
+// ORDER BY clause for a sort order, optionally reversed for reading backwards from a cursor
+export const buildOrderBy = (sort, reverse = false) =>
+	sort
+		.map(({ field, direction }) => {
+			const ascending = (direction === 'ASC') !== reverse;
+			return `${SORT_COLUMNS[field].sql} ${ascending ? 'ASC' : 'DESC'}`;
+		})
+		.join(', ');
+
+// Turn a user search string into an FTS5 MATCH expression.
+// Supports "quoted phrases", prefix terms (tolk*) and field:term filters, everything else is quoted
+// so that FTS5 operators and punctuation in the input can't cause syntax errors.
+// The last term is always prefix-matched, so partially typed queries like "great gats" still match.
+export const buildFtsQuery = (query) => {
+	const tokens = [];
+	const tokenPattern = /(?:(\w+):)?(?:"([^"]*)"(\*)?|(\S+))/g;
+
+	for (const [, field, phrase, phrasePrefix, word] of query.matchAll(tokenPattern)) {
+		let text = phrase ?? word;
+		let prefix = Boolean(phrasePrefix);
+
+		if (text.endsWith('*')) {
+			prefix = true;
+			text = text.replace(/\*+$/, '');
+		}
+
+		text = text.replace(/"/g, '').trim();
+		if (!/[\p{L}\p{N}]/u.test(text)) {
+			continue;
+		}
+
+		const column = field && SEARCH_FIELDS.includes(field.toLowerCase()) ? `${field.toLowerCase()} : ` : '';
+		tokens.push({ expression: `${column}"${text}"`, prefix });
+	}
+
+	if (tokens.length === 0) {
+		throw new ValidationError('Search query must contain at least one word');
+	}
+
+	tokens[tokens.length - 1].prefix = true;
+
+	return tokens.map(({ expression, prefix }) => `${expression}${prefix ? '*' : ''}`).join(' ');
+};
+
+// Parse `?weights=title:10,author:5` into bm25 column weights
+export const parseSearchWeights = (value) => {
+	const weights = { ...DEFAULT_SEARCH_WEIGHTS };
+	if (!value) {
+		return weights;
+	}
+
+	for (const pair of value.split(',')) {
+		const [field, weight] = pair.split(':').map((part) => part.trim());
+		const parsed = Number(weight);
+
+		if (!SEARCH_FIELDS.includes(field)) {
+			throw new ValidationError(`Unknown search weight field: ${field}. Allowed: ${SEARCH_FIELDS.join(', ')}`);
+		}
+		if (weight === '' || isNaN(parsed) || parsed < 0 || parsed > 100) {
+			throw new ValidationError('Search weights must be numbers between 0 and 100');
+		}
+		weights[field] = parsed;
+	}
+
+	return weights;
+};
+
+// Database query execution with timeout
+export const executeQuery = async (stmt, timeout = 5000) => {
+	const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('Database query timeout')), timeout));
+
+	return Promise.race([stmt.all(), timeoutPromise]);
+};
@@ -0,0 +1,95 @@
+// Per-client rate limits with read and write tiers
+import { DurableObject } from 'cloudflare:workers';
+
+// Requests per period for each tier, counted per API key or, for anonymous requests, per IP.
+// Requests that present an API key are also counted per IP in the `auth` tier before the key is
+// looked up, so invalid keys are throttled too. `limit` and `period` must match the `ratelimits`
+// bindings in wrangler.json; the Durable Object counts with them itself.
+const RATE_LIMIT_TIERS = {
+	read: { binding: 'RATE_LIMITER_READ', limit: 1500, period: 60 },
+	write: { binding: 'RATE_LIMITER_WRITE', limit: 300, period: 60 },
+	auth: { binding: 'RATE_LIMITER_AUTH', limit: 3000, period: 60 },
+};
+
+// Reads and writes have separate budgets
+export const getRateLimitTier = (request) => (['GET', 'HEAD'].includes(request.method) ? 'read' : 'write');
+
+// Fixed window counter for one client and tier: the remaining requests for the headers, and the limit itself
+// when a tier's rate limiting binding is missing or fails.
+// The window is cleared by an alarm once it has ended, so idle clients don't keep storage around.
+export class RateLimiter extends DurableObject {
+	async limit(limit, period) {
+		const now = Date.now();
+		const length = period * 1000;
+
+		let window = await this.ctx.storage.get('window');
+		if (!window || now >= window.start + length) {
+			window = { start: now - (now % length), count: 0 };
+			await this.ctx.storage.setAlarm(window.start + length);
+		}
+
+		const success = window.count < limit;
+		if (success) {
+			window.count++;
+			await this.ctx.storage.put('window', window);
+		}
+
+		return { success, remaining: Math.max(limit - window.count, 0), reset: Math.ceil((window.start + length - now) / 1000) };
+	}
+
+	async alarm() {
+		await this.ctx.storage.deleteAll();
+	}
+}
+
+// Run one of the rate limiters, logging and ignoring its errors
+const tryLimiter = async (binding, limit) => {
+	try {
+		return await limit();
+	} catch (error) {
+		console.error('Rate limiter error:', {
+			binding,
+			message: error.message,
+			timestamp: new Date().toISOString(),
+		});
+		return null;
+	}
+};
+
+// Count a request against the client's budget in a tier. The RateLimiter Durable Object counts every
+// request, so `remaining` and `reset` are known whenever it is configured. The tier's rate limiting
+// binding, when there is one, decides whether the request is allowed; the Durable Object only decides
+// without it. Returns null when neither is configured, or both fail: rate limiting never blocks
+// requests because of its own errors.
+export const checkRateLimit = async (env, tierName, key) => {
+	const tier = RATE_LIMIT_TIERS[tierName];
+	const binding = env[tier.binding];
+
+	const [gate, window] = await Promise.all([
+		binding ? tryLimiter(tier.binding, () => binding.limit({ key })) : null,
+		env.RATE_LIMITS
+			? tryLimiter('RATE_LIMITS', () =>
+					env.RATE_LIMITS.get(env.RATE_LIMITS.idFromName(`${tierName}:${key}`)).limit(tier.limit, tier.period)
+			  )
+			: null,
+	]);
+
+	if (!gate && !window) {
+		return null;
+	}
+
+	const success = gate ? gate.success : window.success;
+	return {
+		success,
+		limit: tier.limit,
+		remaining: window ? (success ? window.remaining : 0) : null,
+		reset: window?.reset ?? null,
+		period: tier.period,
+	};
+};
+
+// RateLimit-Limit, and RateLimit-Remaining and RateLimit-Reset (seconds) when they are known
+export const getRateLimitHeaders = ({ limit, remaining, reset }) => ({
+	'RateLimit-Limit': String(limit),
+	...(remaining !== null && { 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(reset) }),
+});
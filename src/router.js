@@ -0,0 +1,34 @@
+// Route matching and method dispatch
+import { MethodNotAllowedError, NotFoundError } from './errors.js';
+
+// The first route whose pattern matches the URL, with the pattern's match result
+export const findRoute = (routes, url) => {
+	for (const route of routes) {
+		const match = route.pattern.exec(url);
+		if (match) {
+			return { route, match };
+		}
+	}
+	return null;
+};
+
+// Run the route's handler for the request method, or answer 405 with the methods it does serve
+export const dispatch = (context) => {
+	const { route, request } = context;
+	if (!route) {
+		throw new NotFoundError('Not Found');
+	}
+
+	const handler = route.handlers[request.method];
+	if (!handler) {
+		throw new MethodNotAllowedError(Object.keys(route.handlers));
+	}
+	return handler(context);
+};
+
+// Chain middleware in front of a handler. Each middleware is called with the request context and a
+// `next` function that runs the rest of the chain, and returns a response or throws.
+export const compose = (middleware, handler) => (context) => {
+	const run = (index) => (index < middleware.length ? middleware[index](context, () => run(index + 1)) : handler(context));
+	return run(0);
+};
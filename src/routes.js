@@ -0,0 +1,132 @@
+// URL patterns, and the API routes with their handlers
+import { BULK_IMPORT_TYPES } from './bulk.js';
+import { COVER_TYPES, MAX_COVER_BYTES } from './covers.js';
+import { BOOK_FORMATS } from './formats.js';
+import { createAuthor, deleteAuthor, getAuthor, listAuthorBooks, listAuthors, renameAuthor } from './handlers/authors.js';
+import { createBook, deleteBook, getBook, getBookByIsbn, listBooks, searchBooks, updateBook } from './handlers/books.js';
+import { exportBooks, importBooks } from './handlers/bulk.js';
+import { citeBook } from './handlers/citations.js';
+import { listChanges } from './handlers/changes.js';
+import { deleteCover, getCover, uploadCover } from './handlers/covers.js';
+import { getHealth } from './handlers/health.js';
+import { listBookHistory, revertBook } from './handlers/history.js';
+import { createApiKey, listApiKeys, revokeApiKey } from './handlers/keys.js';
+import { createReview, deleteReview, listReviews } from './handlers/reviews.js';
+import {
+	addShelfBook,
+	createShelf,
+	deleteShelf,
+	getShelf,
+	listShelves,
+	removeShelfBook,
+	reorderShelf,
+	updateShelf,
+} from './handlers/shelves.js';
+import { getStats, getStatsTimeline } from './handlers/stats.js';
+import { listTrash, purgeBook, restoreBook } from './handlers/trash.js';
+import { createWebhook, deleteWebhook, getWebhook, listWebhookDeliveries, listWebhooks, updateWebhook } from './handlers/webhooks.js';
+
+export const ROUTES = {
+	HOME: new URLPattern({ pathname: '/' }),
+	DOCS: new URLPattern({ pathname: '/docs' }),
+	OPENAPI: new URLPattern({ pathname: '/openapi.:format(json|yaml)' }),
+	SEARCH: new URLPattern({ pathname: '/api/books/search' }),
+	BOOKS_COLLECTION: new URLPattern({ pathname: '/api/books' }),
+	SINGLE_BOOK: new URLPattern({ pathname: '/api/books/:id([0-9]+)' }), // Add numeric constraint
+	STATS: new URLPattern({ pathname: '/api/stats' }),
+	STATS_TIMELINE: new URLPattern({ pathname: '/api/stats/timeline' }),
+	HEALTH: new URLPattern({ pathname: '/api/health' }),
+	BULK: new URLPattern({ pathname: '/api/books/bulk' }),
+	TRASH: new URLPattern({ pathname: '/api/books/trash' }),
+	TRASH_BOOK: new URLPattern({ pathname: '/api/books/trash/:id([0-9]+)' }),
+	BOOK_BY_ISBN: new URLPattern({ pathname: '/api/books/isbn/:isbn' }),
+	RESTORE_BOOK: new URLPattern({ pathname: '/api/books/:id([0-9]+)/restore' }),
+	BOOK_HISTORY: new URLPattern({ pathname: '/api/books/:id([0-9]+)/history' }),
+	REVERT_BOOK: new URLPattern({ pathname: '/api/books/:id([0-9]+)/revert' }),
+	BOOK_COVER: new URLPattern({ pathname: '/api/books/:id([0-9]+)/cover' }),
+	BOOK_CITATION: new URLPattern({ pathname: '/api/books/:id([0-9]+)/cite' }),
+	REVIEWS: new URLPattern({ pathname: '/api/books/:id([0-9]+)/reviews' }),
+	REVIEW: new URLPattern({ pathname: '/api/books/:id([0-9]+)/reviews/:reviewId([0-9]+)' }),
+	EXPORT: new URLPattern({ pathname: '/api/books/export' }),
+	CHANGES: new URLPattern({ pathname: '/api/changes' }),
+	AUTHORS: new URLPattern({ pathname: '/api/authors' }),
+	AUTHOR: new URLPattern({ pathname: '/api/authors/:id([0-9]+)' }),
+	AUTHOR_BOOKS: new URLPattern({ pathname: '/api/authors/:id([0-9]+)/books' }),
+	SHELVES: new URLPattern({ pathname: '/api/shelves' }),
+	SHELF: new URLPattern({ pathname: '/api/shelves/:id([0-9]+)' }),
+	SHELF_BOOKS: new URLPattern({ pathname: '/api/shelves/:id([0-9]+)/books' }),
+	SHELF_BOOK: new URLPattern({ pathname: '/api/shelves/:id([0-9]+)/books/:bookId([0-9]+)' }),
+	WEBHOOKS: new URLPattern({ pathname: '/api/webhooks' }),
+	WEBHOOK: new URLPattern({ pathname: '/api/webhooks/:id([0-9]+)' }),
+	WEBHOOK_DELIVERIES: new URLPattern({ pathname: '/api/webhooks/:id([0-9]+)/deliveries' }),
+	ADMIN_KEYS: new URLPattern({ pathname: '/api/admin/keys' }),
+	ADMIN_KEY: new URLPattern({ pathname: '/api/admin/keys/:id([0-9]+)' }),
+};
+
+// API routes with their handlers by method, in the order the landing page lists them.
+// The OpenAPI document is checked against this table, and `example` links GET routes on the landing page.
+// `cache` keeps GET responses in the edge cache ('book' keys them on the book's entity tag), `formats` lists
+// the representations GET responses can be negotiated in, and `contentTypes` and `maxBodyBytes` replace the
+// default request body checks.
+export const API_ROUTES = [
+	{ pattern: ROUTES.HEALTH, handlers: { GET: getHealth }, example: '/api/health' },
+	{ pattern: ROUTES.STATS, handlers: { GET: getStats }, example: '/api/stats', cache: 'collection' },
+	{ pattern: ROUTES.STATS_TIMELINE, handlers: { GET: getStatsTimeline }, example: '/api/stats/timeline', cache: 'collection' },
+	{
+		pattern: ROUTES.BOOKS_COLLECTION,
+		handlers: { GET: listBooks, POST: createBook },
+		example: '/api/books',
+		cache: 'collection',
+		formats: BOOK_FORMATS,
+	},
+	{
+		pattern: ROUTES.SINGLE_BOOK,
+		handlers: { GET: getBook, PUT: updateBook, PATCH: updateBook, DELETE: deleteBook },
+		example: '/api/books/1',
+		cache: 'book',
+		formats: BOOK_FORMATS,
+	},
+	{
+		pattern: ROUTES.SEARCH,
+		handlers: { GET: searchBooks },
+		example: '/api/books/search?q=romance',
+		cache: 'collection',
+		formats: BOOK_FORMATS,
+	},
+	{
+		pattern: ROUTES.BOOK_BY_ISBN,
+		handlers: { GET: getBookByIsbn },
+		example: '/api/books/isbn/0-7432-7356-7',
+		cache: 'collection',
+		formats: BOOK_FORMATS,
+	},
+	{ pattern: ROUTES.RESTORE_BOOK, handlers: { POST: restoreBook } },
+	{ pattern: ROUTES.BOOK_HISTORY, handlers: { GET: listBookHistory } },
+	{ pattern: ROUTES.REVERT_BOOK, handlers: { POST: revertBook } },
+	{
+		pattern: ROUTES.BOOK_COVER,
+		handlers: { GET: getCover, PUT: uploadCover, DELETE: deleteCover },
+		contentTypes: COVER_TYPES,
+		maxBodyBytes: MAX_COVER_BYTES,
+	},
+	{ pattern: ROUTES.BOOK_CITATION, handlers: { GET: citeBook }, example: '/api/books/1/cite?style=apa', cache: 'book' },
+	{ pattern: ROUTES.REVIEWS, handlers: { GET: listReviews, POST: createReview }, example: '/api/books/1/reviews', cache: 'collection' },
+	{ pattern: ROUTES.REVIEW, handlers: { DELETE: deleteReview } },
+	{ pattern: ROUTES.TRASH, handlers: { GET: listTrash } },
+	{ pattern: ROUTES.TRASH_BOOK, handlers: { DELETE: purgeBook } },
+	{ pattern: ROUTES.BULK, handlers: { POST: importBooks }, contentTypes: BULK_IMPORT_TYPES },
+	{ pattern: ROUTES.EXPORT, handlers: { GET: exportBooks }, example: '/api/books/export?format=csv' },
+	{ pattern: ROUTES.CHANGES, handlers: { GET: listChanges }, example: '/api/changes?since=0' },
+	{ pattern: ROUTES.AUTHORS, handlers: { GET: listAuthors, POST: createAuthor }, example: '/api/authors', cache: 'collection' },
+	{ pattern: ROUTES.AUTHOR, handlers: { GET: getAuthor, PUT: renameAuthor, DELETE: deleteAuthor }, cache: 'collection' },
+	{ pattern: ROUTES.AUTHOR_BOOKS, handlers: { GET: listAuthorBooks }, cache: 'collection' },
+	{ pattern: ROUTES.SHELVES, handlers: { GET: listShelves, POST: createShelf }, example: '/api/shelves' },
+	{ pattern: ROUTES.SHELF, handlers: { GET: getShelf, PUT: updateShelf, DELETE: deleteShelf } },
+	{ pattern: ROUTES.SHELF_BOOKS, handlers: { PUT: reorderShelf } },
+	{ pattern: ROUTES.SHELF_BOOK, handlers: { POST: addShelfBook, DELETE: removeShelfBook } },
+	{ pattern: ROUTES.WEBHOOKS, handlers: { GET: listWebhooks, POST: createWebhook } },
+	{ pattern: ROUTES.WEBHOOK, handlers: { GET: getWebhook, PUT: updateWebhook, DELETE: deleteWebhook } },
+	{ pattern: ROUTES.WEBHOOK_DELIVERIES, handlers: { GET: listWebhookDeliveries } },
+	{ pattern: ROUTES.ADMIN_KEYS, handlers: { GET: listApiKeys, POST: createApiKey } },
+	{ pattern: ROUTES.ADMIN_KEY, handlers: { DELETE: revokeApiKey } },
+];
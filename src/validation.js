@@ -0,0 +1,272 @@
+// Input validation: ISBNs and the book, author and API key schemas
+import { ValidationError } from './errors.js';
+import { ROLE_LEVELS } from './auth.js';
+import { MAX_BOOK_AUTHORS, splitAuthorNames } from './books.js';
+
+// ISBN-13 checksum: digits weighted 1, 3, 1, 3, ...
+const isbn13Sum = (digits) => [...digits].reduce((sum, digit, index) => sum + Number(digit) * (index % 2 ? 3 : 1), 0);
+
+// Canonical ISBN-13 of an ISBN-10 or ISBN-13, with or without hyphens and spaces.
+// Returns null when the format or the check digit is invalid.
+export const toIsbn13 = (isbn) => {
+	const digits = isbn.replace(/[\s-]/g, '').toUpperCase();
+
+	if (/^97[89]\d{10}$/.test(digits)) {
+		return isbn13Sum(digits) % 10 === 0 ? digits : null;
+	}
+
+	if (/^\d{9}[\dX]$/.test(digits)) {
+		const sum = [...digits].reduce((total, digit, index) => total + (digit === 'X' ? 10 : Number(digit)) * (10 - index), 0);
+		if (sum % 11 !== 0) {
+			return null;
+		}
+
+		// ISBN-10s become ISBN-13s with the 978 prefix and a new check digit
+		const base = `978${digits.slice(0, 9)}`;
+		return `${base}${(10 - (isbn13Sum(base) % 10)) % 10}`;
+	}
+
+	return null;
+};
+
+// Book fields as described by the BookInput component in openapi-spec-schema.yaml, keep the two in sync.
+// `format` and `x-max-years-ahead` are checked in code since plain OpenAPI can't express them.
+const BOOK_INPUT_SCHEMA = {
+	type: 'object',
+	required: ['title', 'author'],
+	properties: {
+		title: { type: 'string', minLength: 1, maxLength: 500 },
+		author: { type: 'string', minLength: 1, maxLength: 200, format: 'authors' },
+		year: { type: 'integer', minimum: 0, 'x-max-years-ahead': 10, nullable: true },
+		isbn: { type: 'string', maxLength: 20, format: 'isbn', nullable: true },
+		genre: { type: 'string', maxLength: 100, nullable: true },
+		description: { type: 'string', maxLength: 5000, nullable: true },
+	},
+};
+
+// Shelf bodies for POST and PUT /api/shelves, and for adding a book to a shelf
+export const SHELF_INPUT_SCHEMA = {
+	type: 'object',
+	required: ['name'],
+	properties: {
+		name: { type: 'string', minLength: 1, maxLength: 100 },
+		description: { type: 'string', maxLength: 1000, nullable: true },
+		visibility: { type: 'string', enum: ['public', 'private'] },
+	},
+};
+
+// Review bodies; the text has the same limits as a book description
+export const REVIEW_INPUT_SCHEMA = {
+	type: 'object',
+	required: ['rating'],
+	properties: {
+		rating: { type: 'integer', minimum: 1, maximum: 5 },
+		text: BOOK_INPUT_SCHEMA.properties.description,
+	},
+};
+
+// Book events webhooks can subscribe to, and webhook bodies for POST and PUT /api/webhooks
+const WEBHOOK_EVENTS = ['book.created', 'book.updated', 'book.deleted'];
+
+export const WEBHOOK_INPUT_SCHEMA = {
+	type: 'object',
+	required: ['url', 'events'],
+	properties: {
+		url: { type: 'string', maxLength: 2000, format: 'https_url' },
+		events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+		active: { type: 'boolean' },
+	},
+};
+
+export const SHELF_ENTRY_SCHEMA = {
+	type: 'object',
+	required: [],
+	properties: {
+		note: { type: 'string', maxLength: 1000, nullable: true },
+		position: { type: 'integer', minimum: 0 },
+	},
+};
+
+// Read-only Book fields, accepted (and ignored) in request bodies so a fetched book can be sent back as is
+const BOOK_RESPONSE_FIELDS = [
+	'id',
+	'version',
+	'isbn13',
+	'deleted_at',
+	'authors',
+	'averageRating',
+	'reviewCount',
+	'coverUrl',
+	'created_at',
+	'updated_at',
+];
+
+// Checks for the custom `format` values of the input schemas, returning an error message or null
+const FORMAT_CHECKS = {
+	authors: (value) => {
+		const names = splitAuthorNames(value);
+		if (names.length === 0) {
+			return 'Author must name at least one author';
+		}
+		if (names.length > MAX_BOOK_AUTHORS) {
+			return `A book can have at most ${MAX_BOOK_AUTHORS} authors`;
+		}
+		return null;
+	},
+	isbn: (value) => (toIsbn13(value) ? null : 'Invalid ISBN: must be an ISBN-10 or ISBN-13 with a valid check digit'),
+	https_url: (value) => (URL.canParse(value) && new URL(value).protocol === 'https:' ? null : 'URL must be an absolute https:// URL'),
+};
+
+// Errors for body fields the Book schema doesn't know, reported in strict mode
+const getUnknownFieldErrors = (body) =>
+	Object.keys(body)
+		.filter((field) => !Object.hasOwn(BOOK_INPUT_SCHEMA.properties, field) && !BOOK_RESPONSE_FIELDS.includes(field))
+		.map((field) => ({ field, code: 'unknown_field', message: `Unknown field: ${field}` }));
+
+// Check one field value against its schema, returning the first error or null
+const validateField = (field, rules, value) => {
+	const error = (code, message) => ({ field, code, message });
+
+	if (rules.type === 'string') {
+		if (typeof value !== 'string') {
+			return error('type', `${field} must be a string`);
+		}
+		if (rules.minLength && value.trim().length < rules.minLength) {
+			return error('min_length', `${field} must not be empty`);
+		}
+		if (rules.maxLength && value.length > rules.maxLength) {
+			return error('max_length', `${field} must be ${rules.maxLength} characters or less`);
+		}
+		if (rules.enum && !rules.enum.includes(value)) {
+			return error('enum', `${field} must be one of: ${rules.enum.join(', ')}`);
+		}
+	}
+
+	if (rules.type === 'boolean' && typeof value !== 'boolean') {
+		return error('type', `${field} must be a boolean`);
+	}
+
+	if (rules.type === 'array') {
+		if (!Array.isArray(value)) {
+			return error('type', `${field} must be an array`);
+		}
+		if (rules.minItems && value.length < rules.minItems) {
+			return error('min_items', `${field} must have at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}`);
+		}
+		if (rules.items?.enum && !value.every((item) => rules.items.enum.includes(item))) {
+			return error('enum', `${field} items must be one of: ${rules.items.enum.join(', ')}`);
+		}
+	}
+
+	if (rules.type === 'integer') {
+		// Digit strings are accepted, as they come from CSV imports and older clients
+		const number = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value;
+		if (!Number.isInteger(number)) {
+			return error('type', `${field} must be an integer`);
+		}
+		if (rules.minimum !== undefined && number < rules.minimum) {
+			return error('minimum', `${field} must be ${rules.minimum} or more`);
+		}
+		const maximum = rules['x-max-years-ahead'] !== undefined ? new Date().getFullYear() + rules['x-max-years-ahead'] : rules.maximum;
+		if (maximum !== undefined && number > maximum) {
+			return error('maximum', `${field} must be ${maximum} or less`);
+		}
+	}
+
+	const formatError = rules.format && FORMAT_CHECKS[rules.format](value);
+	return formatError ? error('format', formatError) : null;
+};
+
+// Validate a book against BOOK_INPUT_SCHEMA and report every invalid field at once.
+// Empty strings count as missing, and as null for nullable fields. In strict mode, unknown fields
+// in `body` (the book itself unless it was built from a patch) are errors too.
+export const validateBook = (book, isUpdate = false, { strict = false, body = book } = {}) => {
+	const errors = strict ? getUnknownFieldErrors(body) : [];
+
+	for (const [field, rules] of Object.entries(BOOK_INPUT_SCHEMA.properties)) {
+		const value = book[field];
+		const missing = value === undefined || value === null || value === '';
+
+		if (missing) {
+			if (!isUpdate && BOOK_INPUT_SCHEMA.required.includes(field)) {
+				errors.push({ field, code: 'required', message: `${field} is required` });
+			} else if (value === null && !rules.nullable && !isUpdate) {
+				errors.push({ field, code: 'type', message: `${field} must not be null` });
+			}
+			continue;
+		}
+
+		const error = validateField(field, rules, value);
+		if (error) {
+			errors.push(error);
+		}
+	}
+
+	throwIfInvalid(errors);
+};
+
+// Validate a shelf, shelf entry, review or webhook body against its schema, reporting every invalid field at once
+export const validateInput = (input, schema) => {
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		throw new ValidationError('Request body must be a JSON object');
+	}
+
+	const errors = [];
+	for (const [field, rules] of Object.entries(schema.properties)) {
+		const value = input[field];
+		if (value === undefined || value === null) {
+			if (schema.required.includes(field)) {
+				errors.push({ field, code: 'required', message: `${field} is required` });
+			} else if (value === null && !rules.nullable) {
+				errors.push({ field, code: 'type', message: `${field} must not be null` });
+			}
+			continue;
+		}
+
+		const error = validateField(field, rules, value);
+		if (error) {
+			errors.push(error);
+		}
+	}
+
+	throwIfInvalid(errors);
+};
+
+// Throw a ValidationError carrying field errors, if there are any
+const throwIfInvalid = (errors) => {
+	if (errors.length === 1) {
+		throw new ValidationError(errors[0].message, errors);
+	}
+	if (errors.length > 1) {
+		throw new ValidationError(`${errors.length} fields are invalid`, errors);
+	}
+};
+
+// Author input validation
+export const validateAuthorInput = (input) => {
+	if (!input || typeof input.name !== 'string' || input.name.trim().length === 0) {
+		throw new ValidationError('Name must be a non-empty string');
+	}
+	if (input.name.length > 200) {
+		throw new ValidationError('Name must be 200 characters or less');
+	}
+	if (splitAuthorNames(input.name).length > 1) {
+		throw new ValidationError('Name must be a single author (it can\'t contain ";", " & " or " and ")');
+	}
+};
+
+// API key input validation
+export const validateApiKeyInput = (input) => {
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		throw new ValidationError('Request body must be a JSON object');
+	}
+	if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+		throw new ValidationError('Name must be a non-empty string');
+	}
+	if (input.name.length > 100) {
+		throw new ValidationError('Name must be 100 characters or less');
+	}
+	if (!Object.hasOwn(ROLE_LEVELS, input.role)) {
+		throw new ValidationError(`Role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+	}
+};
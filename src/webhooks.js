@@ -0,0 +1,160 @@
+// Signed webhook deliveries through WEBHOOK_QUEUE
+import { toHex } from './auth.js';
+import { BULK_BATCH_SIZE } from './bulk.js';
+
+// Webhook deliveries: attempts before a delivery is dead, the first retry delay (doubled on
+// every retry after it) and how long to wait for the receiver
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const getRetryDelay = (attempt) => WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempt - 1);
+
+export const generateWebhookSecret = () => `whsec_${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+
+// HMAC-SHA256 of "<timestamp>.<body>", so receivers can check both the payload and its age
+const signWebhookPayload = async (secret, timestamp, body) => {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`)));
+};
+
+// Record a delivery of a book event for every active webhook subscribed to it and queue them.
+// `getBooks` returns the books the event is about and is only called when someone is subscribed.
+// This runs after the response has been sent, so failures are logged rather than thrown.
+export const dispatchWebhooks = async (env, event, getBooks) => {
+	if (!env.WEBHOOK_QUEUE) {
+		return;
+	}
+
+	try {
+		const { results: webhooks } = await env.DB.prepare(
+			'SELECT id FROM webhooks WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)'
+		)
+			.bind(event)
+			.all();
+		if (webhooks.length === 0) {
+			return;
+		}
+
+		const occurredAt = new Date().toISOString();
+		const payloads = (await getBooks()).map((book) => JSON.stringify({ event, occurred_at: occurredAt, data: book }));
+		// One statement per webhook, whatever the number of books, so bulk imports stay within their query budget
+		const statements = webhooks.map(({ id }) =>
+			env.DB.prepare(
+				'INSERT INTO webhook_deliveries (webhook_id, event, payload) SELECT ?, ?, value FROM json_each(?) ORDER BY key RETURNING id'
+			).bind(id, event, JSON.stringify(payloads))
+		);
+
+		const deliveryIds = [];
+		for (let start = 0; start < statements.length; start += BULK_BATCH_SIZE) {
+			const results = await env.DB.batch(statements.slice(start, start + BULK_BATCH_SIZE));
+			deliveryIds.push(...results.flatMap((result) => result.results.map(({ id }) => id)));
+		}
+
+		// A queue batch holds at most 100 messages
+		for (let start = 0; start < deliveryIds.length; start += 100) {
+			await env.WEBHOOK_QUEUE.sendBatch(deliveryIds.slice(start, start + 100).map((deliveryId) => ({ body: { deliveryId } })));
+		}
+	} catch (error) {
+		console.error('Webhook dispatch failed:', {
+			event,
+			message: error.message,
+			timestamp: new Date().toISOString(),
+		});
+	}
+};
+
+// Record the outcome of an attempt, then ack the message or retry it with exponential backoff.
+// Failed deliveries are dead after WEBHOOK_MAX_ATTEMPTS, or at once when the webhook is disabled.
+const settleDelivery = async (env, message, { responseStatus = null, error = null, dead = false }) => {
+	const attempt = message.attempts;
+	const status = !error ? 'delivered' : dead || attempt >= WEBHOOK_MAX_ATTEMPTS ? 'dead' : 'retrying';
+
+	await env.DB.prepare(
+		`
+		UPDATE webhook_deliveries
+		SET status = ?, attempts = ?, response_status = ?, error = ?, last_attempt_at = CURRENT_TIMESTAMP,
+			delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP END
+		WHERE id = ?
+	`
+	)
+		.bind(status, attempt, responseStatus, error, status, message.body.deliveryId)
+		.run();
+
+	if (status === 'retrying') {
+		message.retry({ delaySeconds: getRetryDelay(attempt) });
+	} else {
+		message.ack();
+	}
+};
+
+// Send a queued delivery to its webhook, signed with the webhook's secret
+const attemptDelivery = async (env, message) => {
+	const { deliveryId } = message.body;
+	const delivery = await env.DB.prepare(
+		`
+		SELECT webhook_deliveries.event, webhook_deliveries.payload, webhook_deliveries.status, webhooks.url, webhooks.secret, webhooks.active
+		FROM webhook_deliveries
+		JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+		WHERE webhook_deliveries.id = ?
+	`
+	)
+		.bind(deliveryId)
+		.first();
+
+	// Deleted webhooks take their deliveries with them
+	if (!delivery || delivery.status === 'delivered' || delivery.status === 'dead') {
+		message.ack();
+		return;
+	}
+
+	if (!delivery.active) {
+		await settleDelivery(env, message, { error: 'Webhook is disabled', dead: true });
+		return;
+	}
+
+	const timestamp = Math.floor(Date.now() / 1000);
+	let outcome;
+	try {
+		const response = await fetch(delivery.url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'User-Agent': 'books-serverless-api-webhooks',
+				'X-Webhook-Id': String(deliveryId),
+				'X-Webhook-Event': delivery.event,
+				'X-Webhook-Timestamp': String(timestamp),
+				'X-Webhook-Signature': `sha256=${await signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`,
+			},
+			body: delivery.payload,
+			signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+		});
+		await response.body?.cancel();
+
+		outcome = { responseStatus: response.status, error: response.ok ? null : `Receiver responded with HTTP ${response.status}` };
+	} catch (fetchError) {
+		outcome = { error: fetchError.message };
+	}
+	await settleDelivery(env, message, outcome);
+};
+
+// Deliver one queued webhook message. Any other error, such as a failing database, counts as a
+// failed attempt too, so it gets the same backoff and ends in the dead letters the same way.
+export const deliverWebhook = async (env, message) => {
+	try {
+		await attemptDelivery(env, message);
+	} catch (error) {
+		console.error('Webhook delivery error:', {
+			deliveryId: message.body.deliveryId,
+			message: error.message,
+			timestamp: new Date().toISOString(),
+		});
+
+		try {
+			await settleDelivery(env, message, { error: error.message });
+		} catch {
+			// Without the database the attempt can't be recorded, the queue's max_retries ends the retries
+			message.retry({ delaySeconds: getRetryDelay(message.attempts) });
+		}
+	}
+};
@@ -0,0 +1,53 @@
+import { env } from 'cloudflare:test';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { normalizeBookFields, writeBookFields } from '../src/books.js';
+import { PreconditionFailedError } from '../src/errors.js';
+import { ADMIN, createBook, fetchWorker, sendJson } from './helpers.js';
+
+const AUDIT = { requestId: 'test-request', actor: 'test' };
+
+const findAuthor = (name) => env.DB.prepare('SELECT id FROM authors WHERE name = ?').bind(name).first();
+
+describe('authors', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('creates no authors for an update that lost the version check', async () => {
+		const { id } = await createBook();
+		const stale = await env.DB.prepare('SELECT * FROM books WHERE id = ?').bind(id).first();
+		await sendJson(`/api/books/${id}`, 'PATCH', { title: 'Changed' }, { 'Content-Type': 'application/merge-patch+json' });
+
+		await expect(writeBookFields(env, stale, normalizeBookFields({ ...stale, author: 'Orphan Author' }), AUDIT, 'update')).rejects.toThrow(
+			PreconditionFailedError
+		);
+		expect(await findAuthor('Orphan Author')).toBeNull();
+	});
+
+	it('renames the author of the books outside the trash and announces them', async () => {
+		const queued = [];
+		vi.spyOn(env.WEBHOOK_QUEUE, 'sendBatch').mockImplementation(async (messages) => {
+			queued.push(...messages.map(({ body }) => body.deliveryId));
+		});
+		await sendJson('/api/webhooks', 'POST', { url: 'https://hooks.example.com/books', events: ['book.updated'] });
+
+		const active = await createBook({ title: 'Active', author: 'Old Name' });
+		const trashed = await createBook({ title: 'Trashed', author: 'Old Name' });
+		await fetchWorker(`/api/books/${trashed.id}`, { method: 'DELETE', headers: ADMIN });
+
+		const { id: authorId } = await findAuthor('Old Name');
+		expect((await sendJson(`/api/authors/${authorId}`, 'PUT', { name: 'New Name' })).status).toBe(200);
+
+		expect(await (await fetchWorker(`/api/books/${active.id}`)).json()).toMatchObject({ author: 'New Name', version: active.version + 1 });
+		const inTrash = await env.DB.prepare('SELECT author FROM books WHERE id = ?').bind(trashed.id).first();
+		expect(inTrash.author).toBe('Old Name');
+
+		const { results } = await env.DB.prepare('SELECT id, payload FROM webhook_deliveries').all();
+		expect(queued).toEqual(results.map(({ id }) => id));
+		expect(results.map(({ payload }) => JSON.parse(payload).data)).toMatchObject([{ id: active.id, author: 'New Name' }]);
+
+		// Restored books pick up the new name
+		const restored = await fetchWorker(`/api/books/${trashed.id}/restore`, { method: 'POST', headers: ADMIN });
+		expect((await restored.json()).author).toBe('New Name');
+	});
+});
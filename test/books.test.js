@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import { createBook, fetchWorker, sendJson } from './helpers.js';
+
+const JSON_PATCH = { 'Content-Type': 'application/json-patch+json' };
+const MERGE_PATCH = { 'Content-Type': 'application/merge-patch+json' };
+
+// Cursor as the API encodes them: base64url JSON
+const toCursor = (cursor) => btoa(JSON.stringify(cursor)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+describe('book list', () => {
+	it('rejects cursors with sort values that are not strings, numbers or null', async () => {
+		const { id } = await createBook();
+		const valid = await fetchWorker(`/api/books?sort=id&cursor=${toCursor({ s: 'id', v: [id - 1], d: 'next' })}`);
+		expect(valid.status).toBe(200);
+		expect((await valid.json()).data[0].id).toBe(id);
+
+		for (const value of [{}, [1], true]) {
+			const response = await fetchWorker(`/api/books?sort=id&cursor=${toCursor({ s: 'id', v: [value], d: 'next' })}`);
+			expect(response.status).toBe(400);
+			expect((await response.json()).detail).toBe('Invalid cursor');
+		}
+	});
+});
+
+describe('book patches', () => {
+	it('applies a JSON Patch only when its tests pass', async () => {
+		const { id } = await createBook({ title: 'Tested', genre: 'Fiction' });
+
+		const failed = await sendJson(
+			`/api/books/${id}`,
+			'PATCH',
+			[
+				{ op: 'replace', path: '/genre', value: 'Poetry' },
+				{ op: 'test', path: '/title', value: 'Something else' },
+			],
+			JSON_PATCH
+		);
+		expect(failed.status).toBe(409);
+		expect((await failed.json()).detail).toBe('Test failed at operation 1: /title does not match');
+		expect((await (await fetchWorker(`/api/books/${id}`)).json()).genre).toBe('Fiction');
+
+		const passed = await sendJson(
+			`/api/books/${id}`,
+			'PATCH',
+			[
+				{ op: 'test', path: '/title', value: 'Tested' },
+				{ op: 'replace', path: '/genre', value: 'Poetry' },
+			],
+			JSON_PATCH
+		);
+		expect(passed.status).toBe(200);
+		expect((await passed.json()).genre).toBe('Poetry');
+	});
+
+	it('rejects JSON Patch operations on read-only and unknown fields, but lets them be tested and copied', async () => {
+		const { id } = await createBook({ title: 'Read Only' });
+
+		for (const [operation, detail] of [
+			[{ op: 'replace', path: '/id', value: 1 }, 'Field is read-only: id'],
+			[{ op: 'remove', path: '/version' }, 'Field is read-only: version'],
+			[{ op: 'add', path: '/publisher', value: 'Test' }, 'Unknown field: /publisher'],
+		]) {
+			const response = await sendJson(`/api/books/${id}`, 'PATCH', [operation], JSON_PATCH);
+			expect(response.status).toBe(400);
+			expect((await response.json()).detail).toBe(detail);
+		}
+
+		const response = await sendJson(
+			`/api/books/${id}`,
+			'PATCH',
+			[
+				{ op: 'test', path: '/id', value: id },
+				{ op: 'copy', from: '/title', path: '/description' },
+			],
+			JSON_PATCH
+		);
+		expect(response.status).toBe(200);
+		expect((await response.json()).description).toBe('Read Only');
+	});
+
+	it('rejects removing a required field, with either patch format', async () => {
+		const { id } = await createBook();
+
+		const removed = await sendJson(`/api/books/${id}`, 'PATCH', [{ op: 'remove', path: '/title' }], JSON_PATCH);
+		expect(removed.status).toBe(400);
+		expect((await removed.json()).detail).toBe('title is required');
+		const cleared = await sendJson(`/api/books/${id}`, 'PATCH', { author: null }, MERGE_PATCH);
+		expect(cleared.status).toBe(400);
+		expect((await cleared.json()).detail).toBe('author is required');
+
+		expect(await (await fetchWorker(`/api/books/${id}`)).json()).toMatchObject({ title: 'Test Book', author: 'Test Author' });
+	});
+
+	it('clears optional fields set to null by a merge patch and leaves the others', async () => {
+		const { id } = await createBook({ genre: 'Fiction', year: 1999, description: 'Kept' });
+
+		const response = await sendJson(`/api/books/${id}`, 'PATCH', { genre: null, year: null, unknown: 'ignored' }, MERGE_PATCH);
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ genre: null, year: null, description: 'Kept', title: 'Test Book' });
+	});
+});
+
+describe('ISBNs', () => {
+	it('rejects ISBNs with a wrong check digit', async () => {
+		const response = await sendJson('/api/books', 'POST', { title: 'Misprint', author: 'Test Author', isbn: '0-8044-2957-9' });
+		expect(response.status).toBe(400);
+		expect((await response.json()).detail).toBe('Invalid ISBN: must be an ISBN-10 or ISBN-13 with a valid check digit');
+	});
+
+	it('rejects the same ISBN in another form with 409 and the ID of the book that has it', async () => {
+		const { id, isbn13 } = await createBook({ title: 'Original', isbn: '080442957X' });
+		expect(isbn13).toBe('9780804429573');
+
+		for (const isbn of ['0-8044-2957-x', '978-0-8044-2957-3']) {
+			const response = await sendJson('/api/books', 'POST', { title: 'Duplicate', author: 'Test Author', isbn });
+			expect(response.status).toBe(409);
+			expect(await response.json()).toMatchObject({ detail: 'A book with ISBN 9780804429573 already exists', existingId: id });
+		}
+
+		// Updates are checked too, but a book keeps its own ISBN
+		const other = await createBook({ title: 'Other' });
+		expect((await sendJson(`/api/books/${other.id}`, 'PATCH', { isbn: '0 8044 2957 X' }, MERGE_PATCH)).status).toBe(409);
+		expect((await sendJson(`/api/books/${id}`, 'PATCH', { isbn: '978-0-8044-2957-3' }, MERGE_PATCH)).status).toBe(200);
+	});
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker } from './helpers.js';
+
+const importBooks = (books, mode = 'atomic') =>
+	fetchWorker(`/api/books/bulk?mode=${mode}`, {
+		method: 'POST',
+		headers: { ...ADMIN, 'Content-Type': 'application/json' },
+		body: JSON.stringify(books),
+	});
+
+const createBooks = (count) =>
+	Array.from({ length: count }, (_, index) => ({ title: `Bulk Book ${index + 1}`, author: `Bulk Author ${index % 7}` }));
+
+describe('bulk import', () => {
+	it('imports up to 200 books in one atomic batch', async () => {
+		const response = await importBooks(createBooks(200));
+		expect(response.status).toBe(201);
+		const { inserted, ids } = await response.json();
+		expect(inserted).toBe(200);
+		expect(new Set(ids).size).toBe(200);
+	});
+
+	it('rejects larger imports in both modes', async () => {
+		for (const mode of ['atomic', 'partial']) {
+			const response = await importBooks(createBooks(201), mode);
+			expect(response.status).toBe(400);
+			expect((await response.json()).detail).toBe('Too many books (max 200 per request)');
+		}
+	});
+
+	it('imports nothing in atomic mode when a row is invalid', async () => {
+		const response = await importBooks([...createBooks(3), { title: 'No Author' }]);
+		expect(response.status).toBe(400);
+		const result = await response.json();
+		expect(result).toMatchObject({ inserted: 0, failed: 1, ids: [] });
+		expect(result.errors[0].row).toBe(4);
+	});
+
+	it('imports the valid rows in partial mode, in batches', async () => {
+		const response = await importBooks([...createBooks(120), { title: 'No Author' }], 'partial');
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ inserted: 120, failed: 1 });
+	});
+
+	it('imports a CSV export again', async () => {
+		const books = [
+			await createBook({
+				title: 'Round Trip, Part 1',
+				author: 'Test Author & Other Author',
+				year: 1999,
+				isbn: '0306406152',
+				genre: 'Round Trip',
+			}),
+			await createBook({ title: 'Round Trip, Part 2', genre: 'Round Trip', description: 'Quoted "text"\nover two lines' }),
+		];
+		const exported = await (await fetchWorker('/api/books/export?format=csv&genre=Round Trip&sort=id')).text();
+		expect(exported.startsWith('id,title,author,year,isbn,genre,description\r\n')).toBe(true);
+
+		// The originals go to the trash, so their ISBNs are free again
+		for (const { id } of books) {
+			await fetchWorker(`/api/books/${id}`, { method: 'DELETE', headers: ADMIN });
+		}
+
+		const response = await fetchWorker('/api/books/bulk', {
+			method: 'POST',
+			headers: { ...ADMIN, 'Content-Type': 'text/csv' },
+			body: exported,
+		});
+		expect(response.status).toBe(201);
+		const { ids } = await response.json();
+		expect(ids).toHaveLength(2);
+
+		for (const [index, id] of ids.entries()) {
+			const imported = await (await fetchWorker(`/api/books/${id}`)).json();
+			for (const field of ['title', 'author', 'year', 'isbn', 'genre', 'description']) {
+				expect(imported[field]).toBe(books[index][field]);
+			}
+		}
+	});
+});
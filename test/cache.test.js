@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker, sendJson } from './helpers.js';
+
+describe('edge cache', () => {
+	it('serves a repeated read from the cache with the same entity tag', async () => {
+		const first = await fetchWorker('/api/books?limit=2&page=1');
+		expect(first.headers.get('X-Cache-Status')).toBe('MISS');
+		expect(first.headers.get('Cache-Control')).toBe('no-cache');
+
+		// Query parameters are sorted, so the same query in another order shares the entry
+		const second = await fetchWorker('/api/books?page=1&limit=2');
+		expect(second.headers.get('X-Cache-Status')).toBe('HIT');
+		expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'));
+		expect(await second.json()).toEqual(await first.json());
+	});
+
+	it('answers a cached read with 304 when the client has the entity tag', async () => {
+		const first = await fetchWorker('/api/books');
+		const second = await fetchWorker('/api/books', { headers: { 'If-None-Match': first.headers.get('ETag') } });
+		expect(second.status).toBe(304);
+		expect(second.headers.get('X-Cache-Status')).toBe('HIT');
+	});
+
+	it('answers a single book with a bare 304 that is not cached', async () => {
+		const { id, version } = await createBook();
+		const etag = `"${id}-${version}-0-0"`;
+
+		const notModified = await fetchWorker(`/api/books/${id}`, { headers: { 'If-None-Match': etag } });
+		expect(notModified.status).toBe(304);
+		expect(notModified.headers.get('Content-Type')).toBeNull();
+		expect(notModified.headers.get('X-Cache-Status')).toBeNull();
+		expect(notModified.headers.get('Cache-Control')).toBe('no-cache');
+
+		const full = await fetchWorker(`/api/books/${id}`);
+		expect(full.headers.get('X-Cache-Status')).toBe('MISS');
+		expect(full.headers.get('ETag')).toBe(etag);
+		expect((await full.json()).id).toBe(id);
+	});
+
+	it('stops serving collection entries after a write bumps the cache generation', async () => {
+		const before = await fetchWorker('/api/books?limit=100');
+		await fetchWorker('/api/books?limit=100');
+
+		const created = await createBook({ title: 'Cache Generation' });
+
+		const after = await fetchWorker('/api/books?limit=100');
+		expect(after.headers.get('X-Cache-Status')).toBe('MISS');
+		expect(after.headers.get('ETag')).not.toBe(before.headers.get('ETag'));
+		expect((await after.json()).data.map((book) => book.id)).toContain(created.id);
+	});
+
+	it('keys a single book on its entity tag, so an update invalidates only that book', async () => {
+		const book = await createBook();
+		await fetchWorker('/api/books/1');
+		expect((await fetchWorker(`/api/books/${book.id}`)).headers.get('X-Cache-Status')).toBe('MISS');
+		expect((await fetchWorker(`/api/books/${book.id}`)).headers.get('X-Cache-Status')).toBe('HIT');
+
+		const update = await sendJson(
+			`/api/books/${book.id}`,
+			'PATCH',
+			{ genre: 'Cached' },
+			{ 'Content-Type': 'application/merge-patch+json' }
+		);
+		expect(update.status).toBe(200);
+
+		const fresh = await fetchWorker(`/api/books/${book.id}`);
+		expect(fresh.headers.get('X-Cache-Status')).toBe('MISS');
+		expect(fresh.headers.get('ETag')).toBe(update.headers.get('ETag'));
+		expect((await fresh.json()).genre).toBe('Cached');
+
+		// Books are keyed on their own entity tag, not the collection generation
+		expect((await fetchWorker('/api/books/1')).headers.get('X-Cache-Status')).toBe('HIT');
+	});
+
+	it('bypasses the cache for writes', async () => {
+		const response = await sendJson('/api/books', 'POST', { title: 'Not Cached', author: 'Test Author' });
+		expect(response.status).toBe(201);
+		expect(response.headers.has('X-Cache-Status')).toBe(false);
+	});
+
+	it('does not cache errors', async () => {
+		for (const path of ['/api/books/999999', '/api/books/search', '/api/books/isbn/123']) {
+			const first = await fetchWorker(path);
+			const second = await fetchWorker(path);
+			expect(first.status).toBeGreaterThanOrEqual(400);
+			expect(second.status).toBe(first.status);
+			expect(second.headers.has('X-Cache-Status')).toBe(false);
+		}
+	});
+
+	it('does not cache routes without a cache setting', async () => {
+		const response = await fetchWorker('/api/books/trash', { headers: ADMIN });
+		expect(response.status).toBe(200);
+		expect(response.headers.has('X-Cache-Status')).toBe(false);
+	});
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { createBook, fetchWorker, sendJson } from './helpers.js';
+
+const getChangesOf = async (id) => {
+	const { data } = await (await fetchWorker('/api/changes?since=0&limit=1000')).json();
+	return data.filter((change) => change.book_id === id).map((change) => change.type);
+};
+
+describe('changes feed', () => {
+	it('records a created book as a single create', async () => {
+		const { id } = await createBook({ author: 'Ursula K. Le Guin' });
+		expect(await getChangesOf(id)).toEqual(['create']);
+	});
+
+	it('names the authors of a created book as they are already stored', async () => {
+		await createBook({ author: 'Ursula K. Le Guin' });
+		const book = await createBook({ author: 'ursula k le guin & Test Author' });
+		expect(book.author).toBe('Ursula K. Le Guin & Test Author');
+		expect(book.authors.map((author) => author.name)).toEqual(['Ursula K. Le Guin', 'Test Author']);
+		expect(await getChangesOf(book.id)).toEqual(['create']);
+	});
+
+	it('records updates and deletes after the create', async () => {
+		const { id } = await createBook();
+		await sendJson(`/api/books/${id}`, 'PATCH', { year: 2001 }, { 'Content-Type': 'application/merge-patch+json' });
+		await sendJson(`/api/books/${id}`, 'DELETE');
+		expect(await getChangesOf(id)).toEqual(['create', 'update', 'delete']);
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { formatCitation } from '../src/citations.js';
+import { createBook, fetchWorker } from './helpers.js';
+
+const book = (author, fields = {}) => ({
+	id: 1,
+	title: 'A Book',
+	author,
+	year: 1943,
+	isbn: null,
+	genre: null,
+	description: null,
+	...fields,
+});
+
+describe('citations', () => {
+	it('abbreviates given names in APA', () => {
+		expect(formatCitation('apa', book('J. R. R. Tolkien'))).toBe('Tolkien, J. R. R. (1943). A Book.\n');
+		expect(formatCitation('apa', book('Jean-Paul Sartre'))).toBe('Sartre, J.-P. (1943). A Book.\n');
+		expect(formatCitation('apa', book('J.-P. Sartre'))).toBe('Sartre, J.-P. (1943). A Book.\n');
+		expect(formatCitation('apa', book('J.R.R. Tolkien'))).toBe('Tolkien, J. R. R. (1943). A Book.\n');
+		expect(formatCitation('apa', book('J. Sartre'))).toBe('Sartre, J. (1943). A Book.\n');
+		expect(formatCitation('apa', book('- Sartre'))).toBe('Sartre (1943). A Book.\n');
+		expect(formatCitation('apa', book('Voltaire', { year: null }))).toBe('Voltaire (n.d.). A Book.\n');
+	});
+
+	it('lists several authors in APA and MLA', () => {
+		const coauthored = book('Terry Pratchett & Neil Gaiman', { title: 'Good Omens', year: 1990 });
+		expect(formatCitation('apa', coauthored)).toBe('Pratchett, T., & Gaiman, N. (1990). Good Omens.\n');
+		expect(formatCitation('mla', coauthored)).toBe('Pratchett, Terry, and Neil Gaiman. Good Omens. 1990.\n');
+		expect(formatCitation('mla', book('J.-P. Sartre'))).toBe('Sartre, J.-P. A Book. 1943.\n');
+		expect(formatCitation('mla', book('Voltaire'))).toBe('Voltaire. A Book. 1943.\n');
+	});
+
+	it('escapes BibTeX values and keys entries on the first author', () => {
+		expect(formatCitation('bibtex', book('Jean-Paul Sartre', { title: '100% {Free}' }))).toBe(
+			'@book{sartre1943-1,\n  title = {100\\% \\{Free\\}},\n  author = {Jean-Paul Sartre},\n  year = {1943},\n}\n\n'
+		);
+	});
+
+	it('serves APA and MLA citations of books with hyphenated initials', async () => {
+		const { id } = await createBook({ title: 'Nausea', author: 'J.-P. Sartre', year: 1938 });
+
+		const apa = await fetchWorker(`/api/books/${id}/cite?style=apa`);
+		expect(apa.status).toBe(200);
+		expect(await apa.text()).toBe('Sartre, J.-P. (1938). Nausea.\n');
+
+		const mla = await fetchWorker(`/api/books/${id}/cite?style=mla`);
+		expect(mla.status).toBe(200);
+		expect(await mla.text()).toBe('Sartre, J.-P. Nausea. 1938.\n');
+	});
+
+	it('exports every book as an APA reference list', async () => {
+		const { id } = await createBook({ title: 'Nausea', author: 'J.-P. Sartre', year: 1938 });
+
+		const response = await fetchWorker('/api/books/export?format=apa');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Disposition')).toMatch(/\.txt"$/);
+		const lines = (await response.text()).trimEnd().split('\n');
+		expect(lines).toContain('Sartre, J.-P. (1938). Nausea.');
+		expect(lines.length).toBeGreaterThanOrEqual(id);
+	});
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { fetchWorker } from './helpers.js';
+
+const ORIGIN = 'https://app.example.com';
+const CORS = { CORS_ALLOWED_ORIGINS: `${ORIGIN}, https://admin.example.com`, CORS_ALLOW_CREDENTIALS: 'true' };
+
+const preflight = (headers) => fetchWorker('/api/books', { method: 'OPTIONS', headers: { Origin: ORIGIN, ...headers } }, CORS);
+
+describe('CORS', () => {
+	it('echoes an allowed origin with credentials and varies by Origin', async () => {
+		const response = await fetchWorker('/api/books/1', { headers: { Origin: ORIGIN } }, CORS);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+		expect(response.headers.get('Access-Control-Expose-Headers')).toContain('ETag');
+		expect(response.headers.get('Vary')).toContain('Origin');
+	});
+
+	it('sends no CORS headers to other origins, but still varies by Origin', async () => {
+		const response = await fetchWorker('/api/books/1', { headers: { Origin: 'https://evil.example.com' } }, CORS);
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+		expect(response.headers.get('Vary')).toContain('Origin');
+	});
+
+	it('allows any origin without credentials by default', async () => {
+		const response = await fetchWorker('/api/books/1', { headers: { Origin: ORIGIN } }, { CORS_ALLOW_CREDENTIALS: 'true' });
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(response.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+	});
+
+	it('answers an allowed preflight with the allowed methods and headers', async () => {
+		const response = await preflight({
+			'Access-Control-Request-Method': 'PATCH',
+			'Access-Control-Request-Headers': 'content-type, if-match',
+		});
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toContain('PATCH');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toContain('If-Match');
+		expect(response.headers.get('Access-Control-Max-Age')).toBe('7200');
+		expect(response.headers.get('Vary')).toBe('Access-Control-Request-Method, Access-Control-Request-Headers, Origin');
+	});
+
+	it('rejects preflights for other origins, methods or headers with 403', async () => {
+		for (const [headers, detail] of [
+			[{ Origin: 'https://evil.example.com', 'Access-Control-Request-Method': 'GET' }, 'Origin https://evil.example.com is not allowed'],
+			[{ 'Access-Control-Request-Method': 'TRACE' }, 'Method TRACE is not allowed'],
+			[
+				{ 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type, x-debug' },
+				'Request headers not allowed: x-debug',
+			],
+		]) {
+			const response = await preflight(headers);
+			expect(response.status).toBe(403);
+			expect((await response.json()).detail).toBe(detail);
+		}
+	});
+});
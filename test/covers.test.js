@@ -0,0 +1,93 @@
+import { env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker } from './helpers.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 16]);
+
+const uploadCover = (id, body, contentType = 'image/png') =>
+	fetchWorker(`/api/books/${id}/cover`, { method: 'PUT', headers: { ...ADMIN, 'Content-Type': contentType }, body });
+
+describe('covers', () => {
+	it('stores an upload under the book key and links it with a versioned URL', async () => {
+		const { id } = await createBook();
+
+		const response = await uploadCover(id, PNG);
+		expect(response.status).toBe(201);
+		const { coverUrl, contentType, size } = await response.json();
+		expect(coverUrl).toMatch(new RegExp(`^/api/books/${id}/cover\\?v=[0-9a-f]{12}$`));
+		expect(response.headers.get('Location')).toBe(coverUrl);
+		expect({ contentType, size }).toEqual({ contentType: 'image/png', size: PNG.length });
+
+		const object = await env.COVERS.get(`covers/${id}`);
+		expect(object.httpMetadata.contentType).toBe('image/png');
+		expect(new Uint8Array(await object.arrayBuffer())).toEqual(PNG);
+		expect((await (await fetchWorker(`/api/books/${id}`)).json()).coverUrl).toBe(coverUrl);
+
+		// A new image replaces the object and gets a new URL
+		const replaced = await uploadCover(id, JPEG, 'image/jpeg');
+		expect(replaced.status).toBe(200);
+		expect((await replaced.json()).coverUrl).not.toBe(coverUrl);
+		expect((await env.COVERS.list()).objects.map((listed) => listed.key)).toEqual([`covers/${id}`]);
+	});
+
+	it('serves the versioned URL as immutable and revalidates others', async () => {
+		const { id } = await createBook();
+		const { coverUrl } = await (await uploadCover(id, PNG)).json();
+
+		const versioned = await fetchWorker(coverUrl);
+		expect(versioned.status).toBe(200);
+		expect(versioned.headers.get('Content-Type')).toBe('image/png');
+		expect(versioned.headers.get('Cache-Control')).toBe('public, max-age=31536000, immutable');
+		expect(new Uint8Array(await versioned.arrayBuffer())).toEqual(PNG);
+
+		const plain = await fetchWorker(`/api/books/${id}/cover`);
+		expect(plain.headers.get('Cache-Control')).toBe('public, no-cache');
+		await plain.arrayBuffer();
+
+		const notModified = await fetchWorker(`/api/books/${id}/cover`, { headers: { 'If-None-Match': plain.headers.get('ETag') } });
+		expect(notModified.status).toBe(304);
+
+		// A failed If-Match is no reason to leave out the body
+		const mismatch = await fetchWorker(`/api/books/${id}/cover`, { headers: { 'If-Match': '"other"' } });
+		expect(mismatch.status).toBe(200);
+		expect(new Uint8Array(await mismatch.arrayBuffer())).toEqual(PNG);
+	});
+
+	it('rejects uploads of other types, mislabelled images and empty or oversized bodies', async () => {
+		const { id } = await createBook();
+
+		const gif = await uploadCover(id, 'GIF89a', 'image/gif');
+		expect(gif.status).toBe(400);
+		expect((await gif.json()).detail).toBe('Content-Type must be image/jpeg or image/png or image/webp');
+		expect((await uploadCover(id, JPEG, 'image/png')).status).toBe(400);
+		expect((await uploadCover(id, new Uint8Array(0))).status).toBe(400);
+
+		const oversized = new Uint8Array(5 * 1048576 + 1);
+		oversized.set(PNG);
+		expect((await uploadCover(id, oversized)).status).toBe(413);
+
+		expect((await env.COVERS.list()).objects).toEqual([]);
+	});
+
+	it('deletes the cover object with the cover', async () => {
+		const { id } = await createBook();
+		await uploadCover(id, PNG);
+
+		const response = await fetchWorker(`/api/books/${id}/cover`, { method: 'DELETE', headers: ADMIN });
+		expect(response.status).toBe(204);
+		expect(await env.COVERS.head(`covers/${id}`)).toBeNull();
+		expect((await fetchWorker(`/api/books/${id}/cover`)).status).toBe(404);
+	});
+
+	it('keeps the cover of a book in the trash and deletes it when the book is purged', async () => {
+		const { id } = await createBook();
+		await uploadCover(id, PNG);
+
+		expect((await fetchWorker(`/api/books/${id}`, { method: 'DELETE', headers: ADMIN })).status).toBe(204);
+		expect(await env.COVERS.head(`covers/${id}`)).not.toBeNull();
+
+		expect((await fetchWorker(`/api/books/trash/${id}`, { method: 'DELETE', headers: ADMIN })).status).toBe(204);
+		expect(await env.COVERS.head(`covers/${id}`)).toBeNull();
+	});
+});
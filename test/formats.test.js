@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker } from './helpers.js';
+
+describe('book representations', () => {
+	it('negotiates CSV from the Accept header', async () => {
+		const { id } = await createBook({ title: 'Plain', year: 1999 });
+		const response = await fetchWorker(`/api/books/${id}`, { headers: { Accept: 'text/csv' } });
+		expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(response.headers.get('Vary')).toContain('Accept');
+		const [, row] = (await response.text()).split('\r\n');
+		expect(row).toContain(',Plain,Test Author,1999,');
+	});
+
+	it('keeps spreadsheets from running CSV cells as formulas', async () => {
+		const { id } = await createBook({
+			title: '=HYPERLINK("https://example.com")',
+			author: 'Test Author',
+			genre: '@SUM',
+			year: 1999,
+			description: '-2+3',
+		});
+
+		const single = await (await fetchWorker(`/api/books/${id}?format=csv`)).text();
+		const exported = await (await fetchWorker('/api/books/export?format=csv')).text();
+		for (const csv of [single, exported]) {
+			expect(csv).toContain(`,"'=HYPERLINK(""https://example.com"")",Test Author,1999,`);
+			expect(csv).toContain(",'@SUM,'-2+3\r\n");
+		}
+	});
+
+	it('imports formula cells from a CSV export unchanged', async () => {
+		const book = { title: '=HYPERLINK("https://example.com")', author: '+Test Author', genre: '@SUM', year: 1999, description: '-2+3' };
+		const { id } = await createBook(book);
+		const exported = await (await fetchWorker(`/api/books/${id}?format=csv`)).text();
+
+		const response = await fetchWorker('/api/books/bulk', {
+			method: 'POST',
+			headers: { ...ADMIN, 'Content-Type': 'text/csv' },
+			body: exported,
+		});
+		expect(response.status).toBe(201);
+		const {
+			ids: [imported],
+		} = await response.json();
+		expect(await (await fetchWorker(`/api/books/${imported}`)).json()).toMatchObject(book);
+	});
+});
@@ -0,0 +1,27 @@
+// Requests to the Worker in tests
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index.js';
+
+export const ADMIN = { Authorization: `Bearer ${env.ADMIN_API_KEY}` };
+
+// Fetch a path from the Worker and wait for the work it left in `ctx.waitUntil` (edge cache writes,
+// webhook dispatch), so the next request sees it. `bindings` replace those of the test environment.
+export const fetchWorker = async (path, init = {}, bindings = {}) => {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(new URL(path, 'https://api.example.com'), init), { ...env, ...bindings }, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+};
+
+// JSON request with the bootstrap admin key
+export const sendJson = (path, method, body, headers = {}) =>
+	fetchWorker(path, {
+		method,
+		headers: { ...ADMIN, 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify(body),
+	});
+
+export const createBook = async (book = {}) => {
+	const response = await sendJson('/api/books', 'POST', { title: 'Test Book', author: 'Test Author', ...book });
+	return response.json();
+};
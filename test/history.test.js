@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker, sendJson } from './helpers.js';
+
+describe('book history', () => {
+	it('rejects revert bodies that are not JSON objects', async () => {
+		const { id } = await createBook();
+		for (const body of [null, [1], 1]) {
+			const response = await sendJson(`/api/books/${id}/revert`, 'POST', body);
+			expect(response.status).toBe(400);
+			expect((await response.json()).detail).toBe('Request body must be a JSON object');
+		}
+	});
+
+	it('reverts a book to an earlier revision', async () => {
+		const { id } = await createBook({ title: 'Before' });
+		await sendJson(`/api/books/${id}`, 'PATCH', { title: 'After' }, { 'Content-Type': 'application/merge-patch+json' });
+
+		const { data } = await (await fetchWorker(`/api/books/${id}/history`, { headers: ADMIN })).json();
+		const created = data.find((revision) => revision.action === 'create');
+
+		const response = await sendJson(`/api/books/${id}/revert`, 'POST', { revision: created.id });
+		expect(response.status).toBe(200);
+		expect((await response.json()).title).toBe('Before');
+	});
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { fetchWorker, sendJson } from './helpers.js';
+
+const createKey = async (role) => (await (await sendJson('/api/admin/keys', 'POST', { name: `Test ${role}`, role })).json()).key;
+
+const postBook = (headers) =>
+	fetchWorker('/api/books', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify({ title: 'Keyed', author: 'Test Author' }),
+	});
+
+describe('API keys', () => {
+	it('rejects bodies that are not JSON objects', async () => {
+		for (const body of [null, [], 'editor', 42]) {
+			const response = await sendJson('/api/admin/keys', 'POST', body);
+			expect(response.status).toBe(400);
+			expect((await response.json()).detail).toBe('Request body must be a JSON object');
+		}
+	});
+
+	it('creates a key that authenticates with its role', async () => {
+		const response = await sendJson('/api/admin/keys', 'POST', { name: 'Test Editor', role: 'editor' });
+		expect(response.status).toBe(201);
+		const { key, role } = await response.json();
+		expect(role).toBe('editor');
+
+		const keys = await fetchWorker('/api/admin/keys', { headers: { Authorization: `Bearer ${key}` } });
+		expect(keys.status).toBe(403);
+	});
+});
+
+describe('authentication', () => {
+	it('requires a key for writes but not for reads', async () => {
+		expect((await fetchWorker('/api/books')).status).toBe(200);
+
+		const response = await postBook({});
+		expect(response.status).toBe(401);
+		expect((await response.json()).detail).toBe('API key required');
+	});
+
+	it('rejects unknown keys and other schemes with 401, even on reads', async () => {
+		for (const [headers, detail] of [
+			[{ Authorization: 'Bearer bk_unknown' }, 'Invalid or revoked API key'],
+			[{ 'X-API-Key': 'bk_unknown' }, 'Invalid or revoked API key'],
+			[{ Authorization: 'Basic dGVzdDp0ZXN0' }, 'Authorization header must use the Bearer scheme'],
+		]) {
+			const response = await fetchWorker('/api/books', { headers });
+			expect(response.status).toBe(401);
+			expect((await response.json()).detail).toBe(detail);
+		}
+	});
+
+	it('lets editors write and keeps readers to reads', async () => {
+		const reader = await createKey('reader');
+		const editor = await createKey('editor');
+
+		const denied = await postBook({ Authorization: `Bearer ${reader}` });
+		expect(denied.status).toBe(403);
+		expect((await denied.json()).detail).toBe('This operation requires the editor role');
+		expect((await fetchWorker('/api/books', { headers: { 'X-API-Key': reader } })).status).toBe(200);
+
+		expect((await postBook({ 'X-API-Key': editor })).status).toBe(201);
+	});
+});
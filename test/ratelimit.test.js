@@ -0,0 +1,94 @@
+import { env, runInDurableObject } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { ADMIN, fetchWorker } from './helpers.js';
+
+const WITHOUT_BINDINGS = { RATE_LIMITER_READ: undefined, RATE_LIMITER_WRITE: undefined, RATE_LIMITER_AUTH: undefined };
+
+const fetchFrom = (ip, bindings) => fetchWorker('/api/books', { headers: { 'CF-Connecting-IP': ip } }, bindings);
+
+// Use up the Durable Object's current window for requests from an IP, anonymous reads by default
+const exhaustWindow = (ip, tier = 'read', limit = 1500) =>
+	runInDurableObject(env.RATE_LIMITS.get(env.RATE_LIMITS.idFromName(`${tier}:ip:${ip}`)), async (instance, state) => {
+		const now = Date.now();
+		await state.storage.put('window', { start: now - (now % 60000), count: limit });
+	});
+
+describe('rate limiting', () => {
+	it('reports the read and write budgets of the client', async () => {
+		expect((await fetchWorker('/api/books')).headers.get('RateLimit-Limit')).toBe('1500');
+		expect((await fetchWorker('/api/books', { headers: ADMIN })).headers.get('RateLimit-Limit')).toBe('1500');
+
+		const write = await fetchWorker('/api/books', {
+			method: 'POST',
+			headers: { ...ADMIN, 'Content-Type': 'application/json' },
+			body: '{}',
+		});
+		expect(write.status).toBe(400);
+		expect(write.headers.get('RateLimit-Limit')).toBe('300');
+	});
+
+	it('counts requests with an invalid API key against their IP', async () => {
+		const response = await fetchWorker('/api/books', { headers: { Authorization: 'Bearer not-a-key', 'CF-Connecting-IP': '192.0.2.1' } });
+		expect(response.status).toBe(401);
+		expect(response.headers.get('RateLimit-Limit')).toBe('3000');
+	});
+
+	it('locks out an IP that sent too many requests with an API key, before checking the key', async () => {
+		await exhaustWindow('192.0.2.2', 'auth', 3000);
+
+		const locked = await fetchWorker('/api/books', { headers: { ...ADMIN, 'CF-Connecting-IP': '192.0.2.2' } }, WITHOUT_BINDINGS);
+		expect(locked.status).toBe(429);
+		expect(locked.headers.get('RateLimit-Remaining')).toBe('0');
+		expect((await locked.json()).detail).toBe('Too many requests with an API key from this address. Please try again later.');
+
+		// Anonymous requests and other addresses aren't affected
+		expect((await fetchFrom('192.0.2.2', WITHOUT_BINDINGS)).status).toBe(200);
+		expect((await fetchWorker('/api/books', { headers: { ...ADMIN, 'CF-Connecting-IP': '192.0.2.3' } }, WITHOUT_BINDINGS)).status).toBe(
+			200
+		);
+	});
+
+	it('lets cross-origin callers read the rate limit headers', async () => {
+		const response = await fetchWorker('/api/books', { headers: { Origin: 'https://app.example.com' } });
+		const exposed = response.headers.get('Access-Control-Expose-Headers').split(', ');
+		expect(exposed).toEqual(expect.arrayContaining(['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']));
+	});
+
+	it('reports the remaining requests and reset with the rate limiting binding', async () => {
+		const first = await fetchFrom('192.0.2.10');
+		const second = await fetchFrom('192.0.2.10');
+		expect(first.headers.get('RateLimit-Remaining')).toBe('1499');
+		expect(second.headers.get('RateLimit-Remaining')).toBe('1498');
+		expect(Number(second.headers.get('RateLimit-Reset'))).toBeGreaterThan(0);
+		expect(Number(second.headers.get('RateLimit-Reset'))).toBeLessThanOrEqual(60);
+	});
+
+	it('reports the Durable Object reset when the binding rejects a request', async () => {
+		const rejecting = { limit: async () => ({ success: false }) };
+		const response = await fetchFrom('192.0.2.11', { RATE_LIMITER_READ: rejecting });
+		expect(response.status).toBe(429);
+		expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+		expect(response.headers.get('Retry-After')).toBe(response.headers.get('RateLimit-Reset'));
+	});
+
+	it('enforces the limits with the Durable Object alone when there is no binding', async () => {
+		const allowed = await fetchFrom('192.0.2.12', WITHOUT_BINDINGS);
+		expect(allowed.status).toBe(200);
+		expect(allowed.headers.get('RateLimit-Remaining')).toBe('1499');
+
+		await exhaustWindow('192.0.2.12');
+		const rejected = await fetchFrom('192.0.2.12', WITHOUT_BINDINGS);
+		expect(rejected.status).toBe(429);
+		expect(rejected.headers.get('RateLimit-Remaining')).toBe('0');
+		expect(Number(rejected.headers.get('Retry-After'))).toBeLessThanOrEqual(60);
+
+		// Other clients keep their own budget
+		expect((await fetchFrom('192.0.2.13', WITHOUT_BINDINGS)).status).toBe(200);
+	});
+
+	it('lets requests through without headers when nothing can count them', async () => {
+		const response = await fetchFrom('192.0.2.14', { ...WITHOUT_BINDINGS, RATE_LIMITS: undefined });
+		expect(response.status).toBe(200);
+		expect(response.headers.has('RateLimit-Limit')).toBe(false);
+	});
+});
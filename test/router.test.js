@@ -0,0 +1,158 @@
+import { createExecutionContext, env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { MethodNotAllowedError, NotFoundError } from '../src/errors.js';
+import { compose, dispatch, findRoute } from '../src/router.js';
+import { API_ROUTES, ROUTES } from '../src/routes.js';
+import { getBook } from '../src/handlers/books.js';
+import { fetchWorker } from './helpers.js';
+
+const url = (path) => new URL(path, 'https://api.example.com');
+
+describe('findRoute', () => {
+	it('matches the route of a path with its parameters', () => {
+		const { route, match } = findRoute(API_ROUTES, url('/api/books/42'));
+		expect(route.pattern).toBe(ROUTES.SINGLE_BOOK);
+		expect(match.pathname.groups.id).toBe('42');
+	});
+
+	it('matches fixed paths under /api/books before book IDs', () => {
+		for (const [path, pattern] of [
+			['/api/books/search?q=dune', ROUTES.SEARCH],
+			['/api/books/export', ROUTES.EXPORT],
+			['/api/books/trash', ROUTES.TRASH],
+			['/api/books/trash/7', ROUTES.TRASH_BOOK],
+			['/api/books/7/cite', ROUTES.BOOK_CITATION],
+		]) {
+			expect(findRoute(API_ROUTES, url(path)).route.pattern).toBe(pattern);
+		}
+	});
+
+	it('returns null for paths no route matches', () => {
+		expect(findRoute(API_ROUTES, url('/api/books/dune'))).toBeNull();
+		expect(findRoute(API_ROUTES, url('/api/nothing'))).toBeNull();
+	});
+});
+
+describe('dispatch', () => {
+	const route = { handlers: { GET: () => 'got', POST: (context) => context.body } };
+
+	it('runs the handler for the request method with the context', () => {
+		expect(dispatch({ route, request: new Request(url('/'), { method: 'POST' }), body: 'posted' })).toBe('posted');
+	});
+
+	it('throws 404 without a route and 405 with the allowed methods for other methods', () => {
+		expect(() => dispatch({ route: undefined, request: new Request(url('/')) })).toThrow(NotFoundError);
+
+		const error = (() => {
+			try {
+				dispatch({ route, request: new Request(url('/'), { method: 'DELETE' }) });
+			} catch (thrown) {
+				return thrown;
+			}
+		})();
+		expect(error).toBeInstanceOf(MethodNotAllowedError);
+		expect(error.allow).toEqual(['GET', 'POST']);
+	});
+});
+
+describe('compose', () => {
+	it('runs middleware in order around the handler', async () => {
+		const calls = [];
+		const track = (name) => async (context, next) => {
+			calls.push(`${name} before`);
+			const result = await next();
+			calls.push(`${name} after`);
+			return `${name}(${result})`;
+		};
+
+		const result = await compose([track('outer'), track('inner')], (context) => {
+			calls.push('handler');
+			return context.value;
+		})({ value: 'handled' });
+
+		expect(result).toBe('outer(inner(handled))');
+		expect(calls).toEqual(['outer before', 'inner before', 'handler', 'inner after', 'outer after']);
+	});
+
+	it('lets middleware answer without calling the rest of the chain, and share the context', async () => {
+		const handler = () => 'handler';
+		const setUser = (context, next) => {
+			context.user = 'reader';
+			return next();
+		};
+		const stop = (context) => `stopped for ${context.user}`;
+
+		expect(await compose([setUser, stop], handler)({})).toBe('stopped for reader');
+	});
+
+	it('passes errors thrown further down to the middleware before them', async () => {
+		const catchErrors = async (context, next) => {
+			try {
+				return await next();
+			} catch (error) {
+				return error.message;
+			}
+		};
+		const fail = () => {
+			throw new NotFoundError('Missing');
+		};
+
+		expect(await compose([catchErrors], fail)({})).toBe('Missing');
+	});
+});
+
+describe('request pipeline', () => {
+	it('answers unknown paths with a 404 problem', async () => {
+		const response = await fetchWorker('/api/nothing');
+		expect(response.status).toBe(404);
+		expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+		expect(await response.json()).toMatchObject({
+			status: 404,
+			detail: 'Not Found',
+			instance: '/api/nothing',
+			requestId: expect.any(String),
+		});
+	});
+
+	it('answers unsupported methods with 405 and an Allow header', async () => {
+		const response = await fetchWorker('/api/books/search', { method: 'DELETE' });
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toBe('GET');
+	});
+
+	it('adds the security headers to every response', async () => {
+		const response = await fetchWorker('/api/books/1');
+		expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff');
+		expect(response.headers.get('Content-Security-Policy')).toBe("default-src 'none'; frame-ancestors 'none'");
+	});
+
+	it('rejects bodies over the route limit before reading them', async () => {
+		const response = await fetchWorker('/api/books', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'Content-Length': String(2 * 1048576) },
+			body: '{}',
+		});
+		expect(response.status).toBe(413);
+	});
+});
+
+describe('handlers', () => {
+	it('are called with the request context and return a response', async () => {
+		const request = new Request(url('/api/books/1'));
+		const { match } = findRoute(API_ROUTES, new URL(request.url));
+
+		const response = await getBook({ request, env, ctx: createExecutionContext(), url: new URL(request.url), match, format: null });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('ETag')).toMatch(/^"1-/);
+		expect((await response.json()).id).toBe(1);
+	});
+
+	it('throw errors for the error middleware to map', async () => {
+		const request = new Request(url('/api/books/999999'));
+		const { match } = findRoute(API_ROUTES, new URL(request.url));
+
+		await expect(getBook({ request, env, ctx: createExecutionContext(), url: new URL(request.url), match, format: null })).rejects.toThrow(
+			NotFoundError
+		);
+	});
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { ADMIN, createBook, fetchWorker, sendJson } from './helpers.js';
+
+describe('shelves', () => {
+	it('takes a book off every shelf when it moves to the trash, and leaves it off when restored', async () => {
+		const kept = await createBook({ title: 'Kept' });
+		const deleted = await createBook({ title: 'Deleted' });
+		const shelves = [];
+		for (const name of ['To read', 'Favourites']) {
+			const shelf = await (await sendJson('/api/shelves', 'POST', { name })).json();
+			await sendJson(`/api/shelves/${shelf.id}/books/${deleted.id}`, 'POST', {});
+			await sendJson(`/api/shelves/${shelf.id}/books/${kept.id}`, 'POST', {});
+			shelves.push(shelf);
+		}
+
+		await fetchWorker(`/api/books/${deleted.id}`, { method: 'DELETE', headers: ADMIN });
+		expect((await fetchWorker(`/api/books/${deleted.id}/restore`, { method: 'POST', headers: ADMIN })).status).toBe(200);
+
+		for (const { id } of shelves) {
+			const shelf = await (await fetchWorker(`/api/shelves/${id}`, { headers: ADMIN })).json();
+			expect(shelf.book_count).toBe(1);
+			expect(shelf.books.map(({ position, book }) => [position, book.id])).toEqual([[0, kept.id]]);
+
+			// The shelf can be reordered without the deleted book
+			expect((await sendJson(`/api/shelves/${id}/books`, 'PUT', { book_ids: [kept.id] })).status).toBe(200);
+		}
+	});
+});
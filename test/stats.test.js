@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { createBook, fetchWorker, sendJson } from './helpers.js';
+
+const patchBook = (id, patch) => sendJson(`/api/books/${id}`, 'PATCH', patch, { 'Content-Type': 'application/merge-patch+json' });
+
+const getToday = async () => {
+	const today = new Date().toISOString().slice(0, 10);
+	const { data } = await (await fetchWorker(`/api/stats/timeline?from=${today}&to=${today}&genre=Timeline`)).json();
+	return data[0];
+};
+
+describe('stats timeline', () => {
+	it('counts every book updated on a day, not only the last update of each book', async () => {
+		const first = await createBook({ genre: 'Timeline' });
+		const second = await createBook({ genre: 'Timeline' });
+		expect(await getToday()).toMatchObject({ created: 2, updated: 0 });
+
+		await patchBook(first.id, { year: 2001 });
+		await patchBook(first.id, { year: 2002 });
+		await patchBook(second.id, { year: 2003 });
+		expect(await getToday()).toMatchObject({ created: 2, updated: 2 });
+	});
+
+	it('does not count review ratings as updates', async () => {
+		const { id } = await createBook({ genre: 'Timeline' });
+		const review = await sendJson(`/api/books/${id}/reviews`, 'POST', { reviewer: 'Tester', rating: 5 });
+		expect(review.status).toBe(201);
+		expect(await getToday()).toMatchObject({ created: 1, updated: 0 });
+	});
+});
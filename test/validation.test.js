@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { toIsbn13 } from '../src/validation.js';
+
+describe('toIsbn13', () => {
+	it('converts ISBN-10s to ISBN-13s with a new check digit', () => {
+		expect(toIsbn13('0306406152')).toBe('9780306406157');
+		expect(toIsbn13('080442957X')).toBe('9780804429573');
+	});
+
+	it('accepts hyphens, spaces and a lowercase x', () => {
+		expect(toIsbn13('0-306-40615-2')).toBe('9780306406157');
+		expect(toIsbn13('0 8044 2957 x')).toBe('9780804429573');
+		expect(toIsbn13('978-0-306-40615-7')).toBe('9780306406157');
+		expect(toIsbn13('979-10-90636-07-1')).toBe('9791090636071');
+	});
+
+	it('rejects wrong check digits and other formats', () => {
+		for (const isbn of ['0306406153', '9780306406158', '0804429579', 'X804429575', '9770306406155', '97803064061', '']) {
+			expect(toIsbn13(isbn)).toBeNull();
+		}
+	});
+});
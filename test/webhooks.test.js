@@ -0,0 +1,129 @@
+import { createExecutionContext, createMessageBatch, env, getQueueResult } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { ADMIN, createBook, fetchWorker, sendJson } from './helpers.js';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sign = async (secret, timestamp, body) => {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`)));
+};
+
+// Run the queue consumer on one message for a delivery, as its nth attempt. `delaySeconds` is the retry delay, if retried.
+const consume = async (deliveryId, attempts = 1) => {
+	const batch = createMessageBatch('books-webhooks', [{ id: 'message-1', timestamp: new Date(), attempts, body: { deliveryId } }]);
+	const retry = vi.spyOn(batch.messages[0], 'retry');
+	const ctx = createExecutionContext();
+	await worker.queue(batch, env, ctx);
+	return { ...(await getQueueResult(batch, ctx)), delaySeconds: retry.mock.calls[0]?.[0]?.delaySeconds ?? null };
+};
+
+const getDeliveries = async (webhookId) =>
+	(await (await fetchWorker(`/api/webhooks/${webhookId}/deliveries`, { headers: ADMIN })).json()).data;
+
+describe('webhooks', () => {
+	let queued;
+	let receiver;
+	let webhook;
+
+	beforeEach(async () => {
+		// Messages are consumed by the tests, one attempt at a time
+		queued = [];
+		vi.spyOn(env.WEBHOOK_QUEUE, 'sendBatch').mockImplementation(async (messages) => {
+			queued.push(...messages.map(({ body }) => body.deliveryId));
+		});
+		receiver = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok'));
+
+		webhook = await (await sendJson('/api/webhooks', 'POST', { url: 'https://hooks.example.com/books', events: ['book.created'] })).json();
+		await createBook({ title: 'Announced' });
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('queues a delivery for every subscribed event', async () => {
+		expect(queued).toHaveLength(1);
+		const [delivery] = await getDeliveries(webhook.id);
+		expect(delivery).toMatchObject({ id: queued[0], event: 'book.created', status: 'pending' });
+	});
+
+	it('records the deliveries of a bulk import with one statement per webhook', async () => {
+		await fetchWorker('/api/books/bulk', {
+			method: 'POST',
+			headers: { ...ADMIN, 'Content-Type': 'application/json' },
+			body: JSON.stringify(['First', 'Second', 'Third'].map((title) => ({ title, author: 'Test Author' }))),
+		});
+
+		expect(queued).toHaveLength(4);
+		const { results } = await env.DB.prepare('SELECT id, payload FROM webhook_deliveries').all();
+		const titles = Object.fromEntries(results.map(({ id, payload }) => [id, JSON.parse(payload).data.title]));
+		expect(queued.slice(1).map((id) => titles[id])).toEqual(['First', 'Second', 'Third']);
+	});
+
+	it('signs the payload with the webhook secret and its timestamp', async () => {
+		const result = await consume(queued[0]);
+		expect(result.explicitAcks).toEqual(['message-1']);
+
+		const [url, { headers, body }] = receiver.mock.calls[0];
+		expect(url).toBe('https://hooks.example.com/books');
+		expect(JSON.parse(body)).toMatchObject({ event: 'book.created', data: { title: 'Announced' } });
+		expect(headers['X-Webhook-Event']).toBe('book.created');
+		expect(headers['X-Webhook-Signature']).toBe(`sha256=${await sign(webhook.secret, headers['X-Webhook-Timestamp'], body)}`);
+
+		const [delivery] = await getDeliveries(webhook.id);
+		expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200 });
+	});
+
+	it('retries failed deliveries with exponential backoff', async () => {
+		receiver.mockImplementation(async () => new Response('unavailable', { status: 503 }));
+
+		const result = await consume(queued[0], 3);
+		expect(result.retryMessages).toEqual([{ msgId: 'message-1' }]);
+		expect(result.delaySeconds).toBe(120);
+
+		const [delivery] = await getDeliveries(webhook.id);
+		expect(delivery).toMatchObject({ status: 'retrying', attempts: 3, response_status: 503, error: 'Receiver responded with HTTP 503' });
+	});
+
+	it('leaves a delivery dead after the last attempt', async () => {
+		receiver.mockImplementation(async () => {
+			throw new Error('Connection refused');
+		});
+
+		const result = await consume(queued[0], 6);
+		expect(result.explicitAcks).toEqual(['message-1']);
+		expect(result.delaySeconds).toBeNull();
+
+		const [delivery] = await getDeliveries(webhook.id);
+		expect(delivery).toMatchObject({ status: 'dead', attempts: 6, error: 'Connection refused' });
+	});
+
+	it('handles errors outside the request like failed attempts', async () => {
+		vi.spyOn(env.DB, 'prepare').mockImplementationOnce(() => {
+			throw new Error('D1 is unavailable');
+		});
+
+		const retried = await consume(queued[0], 2);
+		expect(retried.delaySeconds).toBe(60);
+		expect((await getDeliveries(webhook.id))[0]).toMatchObject({ status: 'retrying', attempts: 2, error: 'D1 is unavailable' });
+
+		env.DB.prepare.mockImplementationOnce(() => {
+			throw new Error('D1 is unavailable');
+		});
+		const dead = await consume(queued[0], 6);
+		expect(dead.explicitAcks).toEqual(['message-1']);
+		expect((await getDeliveries(webhook.id))[0]).toMatchObject({ status: 'dead', attempts: 6 });
+	});
+
+	it('retries with backoff when the attempt cannot be recorded', async () => {
+		vi.spyOn(env.DB, 'prepare').mockImplementation(() => {
+			throw new Error('D1 is unavailable');
+		});
+
+		const result = await consume(queued[0], 4);
+		expect(result.retryMessages).toEqual([{ msgId: 'message-1' }]);
+		expect(result.delaySeconds).toBe(240);
+	});
+});
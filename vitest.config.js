@@ -1,11 +1,25 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { fileURLToPath } from 'node:url';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.json' },
+export default defineWorkersConfig(async () => {
+	// The database_schema_*.sql files, applied in order to every test file's own local D1 database (see test/setup.js)
+	const migrations = await readD1Migrations(fileURLToPath(new URL('.', import.meta.url)));
+	migrations.sort((a, b) => a.name.localeCompare(b.name));
+
+	return {
+		test: {
+			setupFiles: ['./test/setup.js'],
+			// Request logs only for failing tests
+			silent: 'passed-only',
+			poolOptions: {
+				workers: {
+					singleWorker: true,
+					wrangler: { configPath: './wrangler.json' },
+					miniflare: {
+						bindings: { ADMIN_API_KEY: 'test-admin-key', TEST_MIGRATIONS: migrations },
+					},
+				},
 			},
 		},
-	},
+	};
 });